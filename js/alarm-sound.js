@@ -0,0 +1,169 @@
+/**
+ * RamadanReady - Alarm Sounds
+ * Synthesizes the built-in alarm tones with the Web Audio API and loops them,
+ * optionally rising from quiet to full volume
+ */
+
+// Each tone schedules one pass of its pattern at `start` and returns the pattern length in seconds
+const ALARM_TONES = {
+    chime(context, output, start) {
+        playAlarmNote(context, output, { frequency: 1318.5, start, duration: 1.2 });
+        playAlarmNote(context, output, { frequency: 1046.5, start: start + 0.35, duration: 1.4 });
+        return 2;
+    },
+
+    bells(context, output, start) {
+        [784, 659.3, 523.3, 392].forEach((frequency, i) => {
+            playAlarmNote(context, output, { frequency, start: start + i * 0.4, duration: 1.6, type: 'triangle' });
+            playAlarmNote(context, output, { frequency: frequency * 2.76, start: start + i * 0.4, duration: 0.8, gain: 0.15 });
+        });
+        return 2.6;
+    },
+
+    beeper(context, output, start) {
+        for (let i = 0; i < 4; i++) {
+            playAlarmNote(context, output, { frequency: 988, start: start + i * 0.18, duration: 0.1, type: 'square', gain: 0.3 });
+        }
+        return 1.2;
+    },
+
+    gentle(context, output, start) {
+        playAlarmNote(context, output, { frequency: 440, start, duration: 1.6, attack: 0.4, gain: 0.8 });
+        playAlarmNote(context, output, { frequency: 554.4, start: start + 0.8, duration: 1.6, attack: 0.4, gain: 0.8 });
+        return 3.2;
+    }
+};
+
+// Shared audio context, created on first use
+let alarmAudioContext = null;
+
+// The sound currently playing: { master, nextStart, timer, limitTimer }
+let alarmSoundState = null;
+
+/**
+ * Get the shared audio context
+ * @returns {AudioContext|null} - null when Web Audio is unsupported
+ */
+function getAlarmAudioContext() {
+    if (!alarmAudioContext) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return null;
+        alarmAudioContext = new AudioContextClass();
+    }
+    return alarmAudioContext;
+}
+
+/**
+ * Allow the alarm to make sound. Browsers only start audio after the user
+ * has interacted with the page, so this runs on the first tap or key press.
+ */
+function unlockAlarmAudio() {
+    const context = getAlarmAudioContext();
+    if (context && context.state === 'suspended') {
+        context.resume().catch(() => {});
+    }
+}
+
+/**
+ * Schedule one note with a short attack and an exponential fade
+ * @param {AudioContext} context
+ * @param {AudioNode} output
+ * @param {Object} note - { frequency, start, duration, type, gain, attack }
+ */
+function playAlarmNote(context, output, { frequency, start, duration, type = 'sine', gain = 1, attack = 0.01 }) {
+    const oscillator = context.createOscillator();
+    const envelope = context.createGain();
+
+    oscillator.type = type;
+    oscillator.frequency.value = frequency;
+
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(gain, start + attack);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    oscillator.connect(envelope).connect(output);
+    oscillator.start(start);
+    oscillator.stop(start + duration + 0.05);
+}
+
+/**
+ * Start looping an alarm tone
+ * @param {string} soundId - Key of ALARM_TONES
+ * @param {Object} options - { volume: 0-100, crescendoSeconds, limitSeconds }
+ * @returns {Promise<boolean>} - Whether sound is actually playing (false until the page has been tapped)
+ */
+async function startAlarmSound(soundId, options = {}) {
+    stopAlarmSound();
+
+    const tone = ALARM_TONES[soundId];
+    const context = getAlarmAudioContext();
+    if (!tone || !context) return false;
+
+    if (context.state === 'suspended') {
+        await context.resume().catch(() => {});
+    }
+
+    const volume = (options.volume ?? 80) / 100;
+    const crescendo = options.crescendoSeconds || 0;
+    const now = context.currentTime;
+
+    const master = context.createGain();
+    master.connect(context.destination);
+
+    if (crescendo > 0) {
+        master.gain.setValueAtTime(volume * 0.05, now);
+        master.gain.linearRampToValueAtTime(volume, now + crescendo);
+    } else {
+        master.gain.setValueAtTime(volume, now);
+    }
+
+    const state = { master, nextStart: now + 0.05, timer: null, limitTimer: null };
+
+    // Keep about a second of the pattern scheduled, so throttled timers don't leave gaps
+    const fill = () => {
+        while (state.nextStart < context.currentTime + 1) {
+            state.nextStart += tone(context, master, state.nextStart);
+        }
+    };
+    fill();
+    state.timer = setInterval(fill, 250);
+
+    if (options.limitSeconds) {
+        state.limitTimer = setTimeout(stopAlarmSound, options.limitSeconds * 1000);
+    }
+
+    alarmSoundState = state;
+    return context.state === 'running';
+}
+
+/**
+ * Stop the alarm tone
+ */
+function stopAlarmSound() {
+    if (!alarmSoundState) return;
+
+    const { master, timer, limitTimer } = alarmSoundState;
+    clearInterval(timer);
+    clearTimeout(limitTimer);
+    alarmSoundState = null;
+
+    // Fade out quickly instead of cutting off with a click
+    const now = alarmAudioContext.currentTime;
+    master.gain.cancelScheduledValues(now);
+    master.gain.setValueAtTime(master.gain.value, now);
+    master.gain.linearRampToValueAtTime(0, now + 0.05);
+    setTimeout(() => master.disconnect(), 100);
+}
+
+/**
+ * Play a few seconds of a tone, e.g. from Settings
+ * @param {string} soundId - Key of ALARM_TONES
+ * @param {number} volume - 0-100
+ */
+function previewAlarmSound(soundId, volume) {
+    unlockAlarmAudio();
+    startAlarmSound(soundId, { volume, limitSeconds: 3 });
+}
+
+document.addEventListener('pointerdown', unlockAlarmAudio, { once: true });
+document.addEventListener('keydown', unlockAlarmAudio, { once: true });
@@ -3,98 +3,145 @@
  * Handles scheduling and triggering of Sahar/Iftar notifications
  */
 
-// Constants
-const ALARM_STORAGE_KEY = 'nextAlarmData';
-const MAX_MISSED_ALARM_AGE = 60 * 60 * 1000; // 1 hour in milliseconds
+// How alarms reach the user, best first. The service worker picks one when it plans the queue.
+const ALARM_MECHANISMS = {
+    triggers: {
+        label: 'Notification Triggers',
+        hint: 'The system shows alarms at the right time, even when the app is closed.'
+    },
+    'periodic-sync': {
+        label: 'Periodic Background Sync',
+        hint: 'Alarms fire while the app is open. When it is closed, the browser wakes the app now and then to catch up on missed alarms and plan ahead.'
+    },
+    page: {
+        label: 'In-page timers',
+        hint: 'Alarms only fire while the app is open. Keep it open in a tab or installed app.'
+    }
+};
+
+// Minimum interval requested for the catch-up sync (browsers may wait longer)
+const ALARM_SYNC_INTERVAL = 12 * 60 * 60 * 1000;
+
+// How long to wait for the service worker to plan before planning in the page
+const WORKER_REPLY_TIMEOUT = 3000;
+
+// A ringing alarm nobody answers stops by itself after this long
+const ALARM_RING_LIMIT = 5 * 60 * 1000;
+
+// The alarm on the ringing screen, and the timer that stops it ringing
+let ringingAlarm = null;
+let ringLimitTimer = null;
 
 // Alarm timers
 let alarmTimers = [];
 
+// Timer that re-plans the queue when the calendar's day changes
+let midnightTimer = null;
+
 /**
- * Schedule alarms based on active calendar and user settings
+ * Schedule the next alarms from the active calendar, across day boundaries.
+ * The service worker plans the stored queue (and arms Notification Triggers
+ * where supported); the page keeps timers so open tabs still ring.
  */
 async function scheduleAlarms() {
     // Clear existing alarms
     clearAlarms();
     
-    const settings = getAlarmSettings();
-    
-    // If alarms disabled, don't schedule
-    if (!settings.enabled) {
-        clearStoredAlarmData();
-        return;
-    }
-    
-    // Get today's data
-    const todayData = await ramadanDB.getTodayData();
-    if (!todayData) {
-        console.log('No calendar data for today, skipping alarm schedule');
-        return;
-    }
-    
-    const now = new Date();
+    const settings = await ramadanDB.getAlarmSettings();
     const calendar = await ramadanDB.getActiveCalendar();
     
-    // Calculate alarm times
-    const alarms = [];
-    
-    // Sahar alarm
-    const [saharHours, saharMinutes] = todayData.saharTime.split(':').map(Number);
-    const saharTime = new Date(now);
-    saharTime.setHours(saharHours, saharMinutes, 0, 0);
-    const saharAlarmTime = new Date(saharTime.getTime() - settings.saharMinutes * 60000);
-    
-    if (saharAlarmTime > now) {
-        alarms.push({
-            type: 'sahar',
-            time: saharAlarmTime,
-            eventTime: todayData.saharTime,
-            message: `Sahar ends in ${settings.saharMinutes} minutes`,
-            title: 'Sahar Reminder'
-        });
-    }
+    // Plan in the page only when no service worker answers
+    const plan = await requestWorkerSchedule() || {
+        mechanism: 'page',
+        alarms: await ramadanDB.planAlarmQueue({ mechanism: 'page' })
+    };
     
-    // Iftar alarm
-    const [iftarHours, iftarMinutes] = todayData.iftarTime.split(':').map(Number);
-    const iftarTime = new Date(now);
-    iftarTime.setHours(iftarHours, iftarMinutes, 0, 0);
-    const iftarAlarmTime = new Date(iftarTime.getTime() - settings.iftarMinutes * 60000);
-    
-    if (iftarAlarmTime > now) {
-        alarms.push({
-            type: 'iftar',
-            time: iftarAlarmTime,
-            eventTime: todayData.iftarTime,
-            message: `Iftar begins in ${settings.iftarMinutes} minutes`,
-            title: 'Iftar Reminder'
-        });
-    }
+    // If alarms disabled, don't schedule
+    if (!settings.enabled) return;
+    
+    applyAlarmPlan(plan);
+    scheduleMidnightReplan(calendar);
+}
+
+/**
+ * Set a page timer for each alarm in a plan
+ * @param {Object} plan - { mechanism, alarms } from the service worker or planAlarmQueue
+ */
+function applyAlarmPlan(plan) {
+    clearAlarms();
     
-    // Schedule each alarm
-    alarms.forEach(alarm => {
-        const delay = alarm.time.getTime() - now.getTime();
+    plan.alarms.forEach(alarm => {
+        const delay = new Date(alarm.time).getTime() - Date.now();
         
         const timerId = setTimeout(() => {
-            triggerAlarm(alarm);
+            triggerAlarm(alarm, plan.mechanism);
         }, delay);
         
         alarmTimers.push(timerId);
     });
     
-    // Store alarm data for missed alarm detection
-    if (alarms.length > 0) {
-        storeAlarmData({
-            alarms: alarms.map(a => ({
-                type: a.type,
-                time: a.time.toISOString(),
-                triggered: false
-            })),
-            calendarId: calendar?.id,
-            date: now.toDateString()
-        });
+    console.log(`Scheduled ${plan.alarms.length} alarm(s) via ${plan.mechanism}`);
+}
+
+/**
+ * Ask the service worker to plan the queue and arm its notifications
+ * @returns {Promise<Object|null>} - { mechanism, alarms }, or null without a worker
+ */
+async function requestWorkerSchedule() {
+    if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) {
+        return null;
     }
     
-    console.log(`Scheduled ${alarms.length} alarm(s)`);
+    const channel = new MessageChannel();
+    const reply = new Promise(resolve => {
+        channel.port1.onmessage = (event) => resolve(event.data);
+    });
+    const timeout = new Promise(resolve => setTimeout(() => resolve(null), WORKER_REPLY_TIMEOUT));
+    
+    navigator.serviceWorker.controller.postMessage({ type: 'SCHEDULE_ALARMS' }, [channel.port2]);
+    
+    return Promise.race([reply, timeout]);
+}
+
+/**
+ * Register the Periodic Background Sync the service worker uses to catch up
+ * on alarms while the app is closed (installed apps in supporting browsers)
+ * @returns {Promise<boolean>} - Whether the sync is registered
+ */
+async function registerAlarmCatchup() {
+    if (!('serviceWorker' in navigator) || !navigator.permissions) return false;
+    
+    try {
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration || !('periodicSync' in registration)) return false;
+        
+        const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (status.state !== 'granted') return false;
+        
+        await registration.periodicSync.register(ALARM_SYNC_TAG, { minInterval: ALARM_SYNC_INTERVAL });
+        return true;
+    } catch (error) {
+        console.log('Periodic Background Sync unavailable:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Re-plan the alarm queue exactly when the next day starts in the calendar's timezone
+ * @param {Object} calendar - Active calendar
+ */
+function scheduleMidnightReplan(calendar) {
+    if (midnightTimer) clearTimeout(midnightTimer);
+    
+    const timezone = calendar?.timezone;
+    const tomorrow = addDaysToIsoDate(getZonedIsoDate(new Date(), timezone), 1);
+    const delay = zonedDateTime(tomorrow, '00:00', timezone).getTime() - Date.now();
+    
+    midnightTimer = setTimeout(async () => {
+        midnightTimer = null;
+        await checkMissedAlarms();
+        scheduleAlarms();
+    }, Math.max(0, delay) + 1000);
 }
 
 /**
@@ -108,49 +155,166 @@ function clearAlarms() {
 /**
  * Trigger an alarm
  * @param {Object} alarm - Alarm data
+ * @param {string} mechanism - How the queue was armed (see ALARM_MECHANISMS)
  */
-function triggerAlarm(alarm) {
+async function triggerAlarm(alarm, mechanism) {
     console.log('Triggering alarm:', alarm);
     
-    // Show notification
-    showAlarmNotification(alarm);
+    // Show notification (a triggered notification is already on screen)
+    let delivery = 'trigger';
+    if (mechanism === 'triggers') {
+        showToast(alarm.message, 'info');
+    } else {
+        delivery = showAlarmNotification(alarm);
+    }
+    
+    // Ring in the app
+    ringAlarm(alarm);
+    await ramadanDB.logAlarmEvents('fired', [alarm], { delivery, mechanism });
     
     // Mark as triggered in storage
-    const stored = getStoredAlarmData();
+    const stored = await ramadanDB.getNextAlarmData();
     if (stored) {
-        const alarmEntry = stored.alarms.find(a => a.type === alarm.type);
+        const alarmEntry = stored.alarms.find(a => a.id === alarm.id);
         if (alarmEntry) {
             alarmEntry.triggered = true;
-            storeAlarmData(stored);
+            await ramadanDB.setNextAlarmData(stored);
         }
     }
     
+    // Top the queue back up
+    await scheduleAlarms();
+    
     // Update UI
     updateAlarmStatus();
 }
 
+/**
+ * Show the full-screen ringing view and play the reminder's sound
+ * @param {Object} alarm - Alarm data
+ */
+async function ringAlarm(alarm) {
+    const settings = await ramadanDB.getAlarmSettings();
+    
+    stopRinging();
+    ringingAlarm = alarm;
+    
+    const playing = alarm.sound && alarm.sound !== 'none' && await startAlarmSound(alarm.sound, {
+        volume: settings.volume,
+        crescendoSeconds: settings.crescendoSeconds
+    });
+    
+    const container = document.getElementById('alarm-ringing');
+    container.innerHTML = `
+        <div class="alarm-ringing-content">
+            <div class="alarm-ringing-icon">${{ sahar: '🌙', iftar: '🌅', tahajjud: '🌌' }[alarm.type] || '🕌'}</div>
+            <h2>${escapeHtml(alarm.title)}</h2>
+            <p class="alarm-ringing-time">${ALARM_EVENTS[alarm.type]} at ${alarm.eventTime}</p>
+            <p class="alarm-ringing-message">${escapeHtml(alarm.message)}</p>
+            ${alarm.sound !== 'none' && !playing ? `
+                <p class="alarm-ringing-hint">Tap anywhere to hear the alarm</p>
+            ` : ''}
+            <div class="alarm-ringing-actions">
+                ${alarm.type === 'sahar' ? `
+                    <button class="btn-primary" onclick="acknowledgeRinging()">I'm awake</button>
+                ` : ''}
+                <button class="${alarm.type === 'sahar' ? 'btn-secondary' : 'btn-primary'}" onclick="stopRinging()">Stop</button>
+                <button class="btn-secondary" onclick="snoozeRinging()">Snooze ${settings.snoozeMinutes} min</button>
+            </div>
+        </div>
+    `;
+    container.classList.remove('hidden');
+    
+    // Audio can only start after a tap if the page hasn't been touched yet
+    container.onclick = () => {
+        unlockAlarmAudio();
+        container.querySelector('.alarm-ringing-hint')?.remove();
+    };
+    
+    if (navigator.vibrate) {
+        navigator.vibrate([500, 300, 500, 300, 500]);
+    }
+    
+    ringLimitTimer = setTimeout(stopRinging, ALARM_RING_LIMIT);
+}
+
+/**
+ * Stop the ringing alarm and close the ringing view
+ */
+function stopRinging() {
+    stopAlarmSound();
+    clearTimeout(ringLimitTimer);
+    ringLimitTimer = null;
+    ringingAlarm = null;
+    
+    const container = document.getElementById('alarm-ringing');
+    if (container) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * Stop the ringing alarm and ring it again after the snooze time.
+ * The snooze is stored with the queue, so the service worker rings it too.
+ */
+async function snoozeRinging() {
+    const alarm = ringingAlarm;
+    if (!alarm) return;
+    
+    const { snoozeMinutes } = await ramadanDB.getAlarmSettings();
+    stopRinging();
+    
+    await ramadanDB.snoozeAlarm(alarm, snoozeMinutes);
+    await scheduleAlarms();
+    showToast(`Snoozed for ${snoozeMinutes} minutes`, 'info');
+}
+
+/**
+ * Stop the ringing Sahar alarm and skip the rest of this morning's wake-up reminders
+ */
+async function acknowledgeRinging() {
+    const alarm = ringingAlarm;
+    if (!alarm) return;
+    
+    stopRinging();
+    
+    await ramadanDB.acknowledgeAlarm(alarm);
+    await scheduleAlarms();
+    showToast(`Good morning! The other Sahar reminders for ${alarm.date} are off.`, 'success');
+}
+
 /**
  * Show alarm notification
  * @param {Object} alarm - Alarm data
+ * @returns {string} - Delivery path for the alarm log (see ALARM_DELIVERY_PATHS)
  */
 function showAlarmNotification(alarm) {
+    let delivery = 'in-app';
+    
     // Try service worker notification first
     if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
         navigator.serviceWorker.controller.postMessage({
             type: 'SHOW_NOTIFICATION',
+            alarm,
             title: alarm.title,
             body: alarm.message,
             icon: '/icons/icon-192x192.png',
-            tag: alarm.type,
+            tag: `alarm-${alarm.id}`,
             requireInteraction: true
         });
+        // Without permission the worker can't show it, so only the in-app toast reaches the user
+        if (getNotificationPermission() === 'granted') delivery = 'service-worker';
     } else {
         // Fallback to regular notification
-        showNotification(alarm.title, alarm.message, alarm.type);
+        showNotification(alarm.title, alarm.message, `alarm-${alarm.id}`);
+        if (getNotificationPermission() === 'granted') delivery = 'notification';
     }
     
     // Also show in-app toast
     showToast(alarm.message, 'info');
+    
+    return delivery;
 }
 
 /**
@@ -191,111 +355,219 @@ async function showNotification(title, body, tag) {
 }
 
 /**
- * Check for missed alarms when app opens
+ * Move alarms that passed without ringing into the catch-up report, then open
+ * the report for any the user hasn't seen (or notify while the app is hidden)
  */
-function checkMissedAlarms() {
-    const stored = getStoredAlarmData();
-    if (!stored) return;
-    
-    const now = new Date();
-    const missedAlarms = [];
+async function checkMissedAlarms() {
+    const stored = await ramadanDB.getNextAlarmData();
+    let unrung = [];
     
-    stored.alarms.forEach(alarm => {
-        if (alarm.triggered) return;
-        
-        const alarmTime = new Date(alarm.time);
-        const timeDiff = now.getTime() - alarmTime.getTime();
+    if (stored) {
+        const now = new Date();
         
-        // If alarm time passed and within acceptable window (not too old)
-        if (timeDiff > 0 && timeDiff < MAX_MISSED_ALARM_AGE) {
-            missedAlarms.push({
-                type: alarm.type,
-                time: alarmTime,
-                minutesAgo: Math.floor(timeDiff / 60000)
-            });
-            
-            // Mark as triggered
-            alarm.triggered = true;
-        }
-    });
+        // Every past alarm leaves the queue; those that never rang go to the report, however old
+        unrung = stored.alarms.filter(alarm => !alarm.triggered && new Date(alarm.time) <= now);
+        stored.alarms = stored.alarms.filter(alarm => new Date(alarm.time) > now);
+        await ramadanDB.setNextAlarmData(stored);
+        await ramadanDB.retireUnrungAlarms(unrung, stored, 'Found missed when the app was opened');
+    }
     
-    // Update storage
-    storeAlarmData(stored);
+    const missed = await ramadanDB.getMissedAlarms();
+    if (!missed.some(alarm => !alarm.reportedAt)) return;
     
-    // Notify about missed alarms
-    if (missedAlarms.length > 0) {
-        const messages = missedAlarms.map(a => 
-            `${a.type === 'sahar' ? 'Sahar' : 'Iftar'} alarm (${a.minutesAgo} min ago)`
-        );
-        
-        showToast(`Missed alarms: ${messages.join(', ')}`, 'warning');
-        
-        // Show notification for most recent missed alarm
-        const mostRecent = missedAlarms[0];
-        showNotification(
-            'Missed Alarm',
-            `You missed the ${mostRecent.type} alarm`,
-            'missed-alarm'
-        );
+    if (document.visibilityState !== 'visible') {
+        // Triggered notifications were shown by the system, so only mention the others
+        if (unrung.length > 0 && stored.mechanism !== 'triggers') {
+            showNotification(
+                unrung.length === 1 ? 'Missed Alarm' : `${unrung.length} Missed Alarms`,
+                unrung.map(alarm => `${alarm.title} (${formatZonedTime(new Date(alarm.time), stored.timezone)})`).join(', '),
+                'missed-alarm'
+            );
+        }
+        return;
     }
     
-    // Clear old data if from previous day
-    const today = new Date().toDateString();
-    if (stored.date !== today) {
-        clearStoredAlarmData();
+    // Don't pull the user out of the calendar editor mid-edit
+    if (document.getElementById('screen-editor')?.classList.contains('active')) {
+        showToast(`${missed.length} missed alarm(s). Tap "missed" on the home screen to review.`, 'warning');
+        return;
     }
+    
+    showCatchupReport();
 }
 
 /**
- * Store alarm data in LocalStorage
- * @param {Object} data - Alarm data to store
+ * Open the catch-up report of missed alarms
  */
-function storeAlarmData(data) {
-    try {
-        localStorage.setItem(ALARM_STORAGE_KEY, JSON.stringify(data));
-    } catch (error) {
-        console.error('Failed to store alarm data:', error);
-    }
+async function showCatchupReport() {
+    showScreen('catchup');
+    await ramadanDB.markMissedAlarmsReported();
 }
 
 /**
- * Get stored alarm data from LocalStorage
- * @returns {Object|null}
+ * Render the catch-up report: every missed alarm since it was last dismissed,
+ * by day, with whether its event (e.g. the end of Sahar) has passed, a snooze
+ * for events still ahead and the day's fasting log
  */
-function getStoredAlarmData() {
-    try {
-        const data = localStorage.getItem(ALARM_STORAGE_KEY);
-        return data ? JSON.parse(data) : null;
-    } catch (error) {
-        console.error('Failed to get alarm data:', error);
-        return null;
+async function renderCatchupScreen() {
+    const container = document.getElementById('screen-catchup');
+    if (!container) return;
+    
+    const missed = await ramadanDB.getMissedAlarms();
+    const settings = await ramadanDB.getAlarmSettings();
+    const calendar = await ramadanDB.getActiveCalendar();
+    const stored = await ramadanDB.getNextAlarmData();
+    const now = new Date();
+    
+    const upcoming = (stored?.alarms || []).filter(alarm => !alarm.triggered && new Date(alarm.time) > now);
+    const dates = [...new Set(missed.map(alarm => alarm.date))];
+    
+    const days = await Promise.all(dates.map(async (date) => {
+        const alarms = missed.filter(alarm => alarm.date === date);
+        const inCalendar = calendar && calendar.days.some(day => day.date === date);
+        const entry = inCalendar && await ramadanDB.getFastingEntry(calendar.id, date);
+        
+        return `
+            <div class="settings-section">
+                <h3>${new Date(`${date}T00:00`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}</h3>
+                <ul class="catchup-list">
+                    ${alarms.map(alarm => renderMissedAlarm(alarm, now, settings)).join('')}
+                </ul>
+                ${!inCalendar ? '' : entry ? `
+                    <p class="catchup-fasting">Fasting log: <strong>${formatFastingStatus(entry)}</strong></p>
+                ` : `
+                    <p class="catchup-fasting">Log this day:</p>
+                    ${renderFastingButtons(calendar.id, date)}
+                `}
+            </div>
+        `;
+    }));
+    
+    container.innerHTML = `
+        <div class="settings-container">
+            <h2>Missed Alarms</h2>
+            
+            ${missed.length === 0 ? `
+                <p class="history-empty">No missed alarms.</p>
+            ` : `
+                <p class="generator-hint">${missed.length} reminder(s) didn't ring since you last checked.</p>
+                ${days.join('')}
+            `}
+            
+            <div class="settings-section">
+                <h3>Still to Come</h3>
+                ${!settings.enabled ? `
+                    <p class="history-empty">Alarms are disabled.</p>
+                ` : upcoming.length === 0 ? `
+                    <p class="history-empty">No reminders scheduled.</p>
+                ` : `
+                    <ul class="alarm-queue">
+                        ${upcoming.slice(0, 5).map(alarm => `
+                            <li>
+                                <strong>${escapeHtml(alarm.title)}</strong>
+                                ${alarm.date} at ${formatZonedTime(new Date(alarm.time), stored.timezone)}
+                            </li>
+                        `).join('')}
+                    </ul>
+                `}
+                <div class="form-actions">
+                    ${settings.enabled ? `
+                        <button class="btn-secondary" onclick="rescheduleRemainingAlarms()">Reschedule Remaining Reminders</button>
+                    ` : `
+                        <button class="btn-secondary" onclick="showScreen('settings')">Alarm Settings</button>
+                    `}
+                    <button class="btn-primary" onclick="dismissCatchupReport()">Done</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Build a catch-up report row for one missed alarm
+ * @param {Object} alarm - Missed alarm
+ * @param {Date} now - Current instant
+ * @param {Object} settings - Alarm settings
+ * @returns {string} - HTML
+ */
+function renderMissedAlarm(alarm, now, settings) {
+    const name = ALARM_EVENTS[alarm.type];
+    const eventAt = alarm.eventAt ? new Date(alarm.eventAt) : null;
+    const ahead = eventAt && eventAt > now;
+    const minutesLeft = ahead && Math.ceil((eventAt - now) / 60000);
+    
+    let status = `${name} at ${alarm.eventTime}`;
+    if (eventAt && alarm.type === 'sahar') {
+        status = ahead ? `Sahar ends at ${alarm.eventTime}: ${minutesLeft} min left to eat` : `Sahar ended at ${alarm.eventTime}`;
+    } else if (eventAt) {
+        status = ahead ? `${name} at ${alarm.eventTime}, in ${minutesLeft} min` : `${name} was at ${alarm.eventTime}`;
     }
+    
+    const lateMinutes = alarm.shownAt && Math.round((new Date(alarm.shownAt) - new Date(alarm.time)) / 60000);
+    
+    return `
+        <li class="catchup-item ${ahead ? 'ahead' : ''}">
+            <div>
+                <strong>${escapeHtml(alarm.title)}</strong>
+                <span class="alarm-queue-in">
+                    due ${formatZonedTime(new Date(alarm.time), alarm.timezone)}${alarm.shownAt ? ` • notified ${lateMinutes} min late` : ''}
+                </span>
+            </div>
+            <p class="catchup-status">${status}</p>
+            ${ahead && settings.enabled ? `
+                <button class="btn-secondary btn-small" onclick="snoozeMissedAlarm('${alarm.id}')">Remind me in ${settings.snoozeMinutes} min</button>
+            ` : ''}
+        </li>
+    `;
 }
 
 /**
- * Clear stored alarm data
+ * Ring a missed alarm again after the snooze time, while its event is still ahead
+ * @param {string} id - Alarm ID
  */
-function clearStoredAlarmData() {
-    localStorage.removeItem(ALARM_STORAGE_KEY);
+async function snoozeMissedAlarm(id) {
+    const alarm = (await ramadanDB.getMissedAlarms()).find(entry => entry.id === id);
+    if (!alarm) return;
+    
+    // The snooze goes back into the queue without the report's bookkeeping
+    const { calendarId, timezone, shownAt, reportedAt, ...queued } = alarm;
+    const { snoozeMinutes } = await ramadanDB.getAlarmSettings();
+    const snooze = await ramadanDB.snoozeAlarm(queued, snoozeMinutes);
+    if (!snooze) {
+        showToast('Turn alarms on to be reminded', 'warning');
+        return;
+    }
+    
+    await ramadanDB.dismissMissedAlarms([id]);
+    await scheduleAlarms();
+    showToast(`Reminding you in ${snoozeMinutes} minutes`, 'success');
 }
 
 /**
- * Get alarm settings from LocalStorage
- * @returns {Object}
+ * Re-plan the reminders still to come and say how many are armed
  */
-function getAlarmSettings() {
-    const defaults = {
-        enabled: false,
-        saharMinutes: 15,
-        iftarMinutes: 15
-    };
+async function rescheduleRemainingAlarms() {
+    await scheduleAlarms();
     
-    try {
-        const stored = localStorage.getItem('alarmSettings');
-        return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
-    } catch {
-        return defaults;
+    const stored = await ramadanDB.getNextAlarmData();
+    const now = new Date();
+    const count = (stored?.alarms || []).filter(alarm => !alarm.triggered && new Date(alarm.time) > now).length;
+    const mechanism = ALARM_MECHANISMS[stored?.mechanism];
+    
+    if (count > 0) {
+        showToast(`${count} reminder(s) scheduled${mechanism ? ` via ${mechanism.label}` : ''}`, 'success');
+    } else {
+        showToast('No reminders left to schedule', 'info');
     }
+    renderCatchupScreen();
+}
+
+/**
+ * Clear the catch-up report and go home
+ */
+async function dismissCatchupReport() {
+    await ramadanDB.dismissMissedAlarms();
+    showScreen('home');
 }
 
 /**
@@ -322,23 +594,51 @@ async function requestNotificationPermission() {
 /**
  * Initialize alarm system on app load
  */
-function initAlarmSystem() {
+async function initAlarmSystem() {
+    await registerAlarmCatchup();
+    
     // Check for missed alarms
-    checkMissedAlarms();
+    await checkMissedAlarms();
     
-    // Schedule new alarms
-    const settings = getAlarmSettings();
-    if (settings.enabled) {
+    // Schedule new alarms (also sets up the midnight re-plan)
+    await scheduleAlarms();
+    
+    // Timers may have been frozen while the page was hidden, so re-plan when it comes back
+    document.addEventListener('visibilitychange', async () => {
+        if (document.visibilityState !== 'visible') return;
+        await checkMissedAlarms();
         scheduleAlarms();
-    }
+    });
     
-    // Reschedule alarms periodically (every hour) to handle day changes
-    setInterval(() => {
-        const currentSettings = getAlarmSettings();
-        if (currentSettings.enabled) {
+    // Re-plan when alarm settings, the active calendar or its times change (here or in another tab)
+    ramadanDB.addEventListener('settingchange', (event) => {
+        if (event.detail.key === 'alarmSettings' || event.detail.key === 'activeCalendarId') {
             scheduleAlarms();
         }
-    }, 60 * 60 * 1000); // Every hour
+    });
+    ramadanDB.addEventListener('calendarchange', async (event) => {
+        if (event.detail.id === await ramadanDB.getActiveCalendarId()) {
+            scheduleAlarms();
+        }
+    });
+    
+    // Hand the schedule to the service worker once it takes control of the page
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('controllerchange', async () => {
+            await registerAlarmCatchup();
+            scheduleAlarms();
+        });
+        
+        // A notification was snoozed or answered "I'm awake": take the worker's new plan
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (!event.data || event.data.type !== 'ALARM_PLAN') return;
+            
+            if (ringingAlarm && ringingAlarm.id === event.data.handled) {
+                stopRinging();
+            }
+            applyAlarmPlan(event.data.plan);
+        });
+    }
 }
 
 // Initialize when DOM is ready
@@ -110,6 +110,9 @@ async function initApp() {
         // Initialize database
         await ramadanDB.init();
         
+        // Permanently remove calendars that have been in the trash too long
+        await ramadanDB.purgeExpiredTrash();
+        
         // Check if first-time user and create sample calendar
         const shouldCreateSample = await ramadanDB.shouldCreateSample();
         if (shouldCreateSample) {
@@ -117,19 +120,25 @@ async function initApp() {
             showToast('Welcome! A sample calendar has been created for you. Edit or replace it with your own data.', 'info');
         }
         
+        setupIftarMode();
+        
         // Load screens
         renderHomeScreen();
         renderCalendarsScreen();
         renderEditorScreen();
-        renderSettingsScreen();
+        renderQadaScreen();
+        await renderSettingsScreen();
         renderImportExportScreen();
         
-        // Show default screen
-        showScreen('home');
+        // Keep the UI in sync with settings changed elsewhere (other tabs, service worker)
+        ramadanDB.addEventListener('settingchange', handleSettingChange);
+        ramadanDB.addEventListener('alarmlogchange', () => {
+            if (app.currentScreen === 'settings') renderAlarmLog();
+        });
         
-        // Check for missed alarms
-        if (typeof checkMissedAlarms === 'function') {
-            checkMissedAlarms();
+        // Show default screen, unless initAlarmSystem's missed-alarm check already opened the catch-up report
+        if (app.currentScreen !== 'catchup') {
+            showScreen('home');
         }
         
     } catch (error) {
@@ -138,6 +147,30 @@ async function initApp() {
     }
 }
 
+/**
+ * React to a setting changed in this or another context
+ * @param {CustomEvent} event - settingchange event ({ key, value })
+ */
+function handleSettingChange(event) {
+    const { key } = event.detail;
+    
+    if (key === 'activeCalendarId') {
+        updateHomeScreen();
+        refreshCalendarsList();
+    } else if (key === 'alarmSettings') {
+        updateAlarmStatus();
+    } else if (key === 'nextAlarmData') {
+        renderAlarmQueue();
+        updateAlarmStatus();
+    } else if (key === 'missedAlarms') {
+        updateAlarmStatus();
+        if (app.currentScreen === 'catchup') renderCatchupScreen();
+    } else if (key === 'hijriSettings') {
+        updateHomeScreen();
+        updateHijriLabels();
+    }
+}
+
 /**
  * Setup navigation between screens
  */
@@ -185,6 +218,15 @@ function showScreen(screenName) {
         updateHomeScreen();
     } else if (screenName === 'calendars') {
         refreshCalendarsList();
+    } else if (screenName === 'qada') {
+        refreshQadaScreen();
+    } else if (screenName === 'settings') {
+        renderAlarmQueue();
+        renderAlarmLog();
+    } else if (screenName === 'catchup') {
+        renderCatchupScreen();
+    } else if (screenName === 'print') {
+        renderPrintScreen();
     }
 }
 
@@ -210,23 +252,35 @@ function renderHomeScreen() {
                     <div class="time-icon">🌙</div>
                     <div class="time-label">Sahar Ends</div>
                     <div class="time-value" id="sahar-time">--:--</div>
+                    <div class="time-local hidden" id="sahar-published"></div>
+                    <div class="time-local hidden" id="sahar-local"></div>
                 </div>
                 
                 <div class="countdown-container">
                     <div class="countdown-label" id="countdown-label">Time until Iftar</div>
                     <div class="countdown" id="countdown">00:00:00</div>
+                    <button class="btn-secondary btn-small" onclick="openIftarModeNow()">⛶ Full screen</button>
                 </div>
                 
                 <div class="time-card iftar">
                     <div class="time-icon">🌅</div>
                     <div class="time-label">Iftar Begins</div>
                     <div class="time-value" id="iftar-time">--:--</div>
+                    <div class="time-local hidden" id="iftar-published"></div>
+                    <div class="time-local hidden" id="iftar-local"></div>
                 </div>
             </div>
             
+            <p class="timezone-note hidden" id="timezone-note"></p>
+            
+            <div class="prayer-times hidden" id="prayer-times"></div>
+            
+            <div class="fasting-checkin hidden" id="fasting-checkin"></div>
+            
             <div class="alarm-status" id="alarm-status">
                 <span class="status-indicator disabled" id="alarm-indicator"></span>
                 <span id="alarm-text">Alarms disabled</span>
+                <button class="btn-secondary btn-small hidden" id="missed-alarms-btn" onclick="showCatchupReport()"></button>
             </div>
         </div>
     `;
@@ -245,6 +299,8 @@ async function updateHomeScreen() {
     // Update date display
     const dateOptions = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' };
     document.getElementById('current-date').textContent = now.toLocaleDateString('en-US', dateOptions);
+    const hijriSettings = await ramadanDB.getHijriSettings();
+    document.getElementById('islamic-date').textContent = formatHijriDate(gregorianToHijri(now, hijriSettings));
     
     // Check for active calendar
     const activeCalendar = await ramadanDB.getActiveCalendar();
@@ -252,6 +308,11 @@ async function updateHomeScreen() {
     
     const calendarInfo = document.getElementById('calendar-info');
     const fastingTimes = document.getElementById('fasting-times');
+    document.getElementById('prayer-times').classList.add('hidden');
+    
+    if (!activeCalendar || !todayData) {
+        document.getElementById('fasting-checkin').classList.add('hidden');
+    }
     
     if (!activeCalendar) {
         calendarInfo.classList.remove('hidden');
@@ -273,10 +334,73 @@ async function updateHomeScreen() {
     document.getElementById('sahar-time').textContent = todayData.saharTime;
     document.getElementById('iftar-time').textContent = todayData.iftarTime;
     
+    // Show device-local times too when the calendar is for another timezone
+    const foreign = isForeignTimezone(activeCalendar.timezone, now);
+    const eventTimes = ramadanDB.getDayEventTimes(activeCalendar, todayData);
+    ['sahar', 'iftar'].forEach(event => {
+        const local = document.getElementById(`${event}-local`);
+        local.textContent = foreign ? `${formatZonedTime(eventTimes[event])} your time` : '';
+        local.classList.toggle('hidden', !foreign);
+    });
+    
+    // Keep the published times visible when a safety margin moved them
+    [['sahar', todayData.publishedSaharTime, todayData.saharTime], ['iftar', todayData.publishedIftarTime, todayData.iftarTime]]
+        .forEach(([event, published, adjusted]) => {
+            const label = document.getElementById(`${event}-published`);
+            label.textContent = published !== adjusted ? `Published ${published}` : '';
+            label.classList.toggle('hidden', published === adjusted);
+        });
+    updateTimezoneNote(activeCalendar, now);
+    await updatePrayerTimes(activeCalendar, todayData, now);
+    
+    await updateFastingCheckin(activeCalendar, todayData);
+    
     // Update alarm status
     updateAlarmStatus();
 }
 
+/**
+ * Show today's prayer times, Taraweeh and tonight's Tahajjud, marking the next one
+ * @param {Object} calendar - Active calendar
+ * @param {Object} todayData - Today's day entry
+ * @param {Date} now - Current instant
+ */
+async function updatePrayerTimes(calendar, todayData, now) {
+    const container = document.getElementById('prayer-times');
+    if (!container) return;
+    
+    const { taraweehOffset } = await ramadanDB.getAlarmSettings();
+    const eventTimes = ramadanDB.getDayEventTimes(calendar, todayData, { taraweehOffset });
+    const events = [...Object.keys(PRAYER_NAMES), 'taraweeh', 'tahajjud'].filter(event => eventTimes[event]);
+    const next = events.find(event => eventTimes[event] > now);
+    
+    // Tahajjud alone (no prayer times in the calendar) isn't worth a row
+    container.classList.toggle('hidden', events.length < 2);
+    container.innerHTML = events.map(event => `
+        <div class="prayer-time ${event === next ? 'next' : ''}">
+            <span class="prayer-name">${ALARM_EVENTS[event]}</span>
+            <span class="prayer-value">${formatZonedTime(eventTimes[event], calendar.timezone)}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Show the calendar's clock next to the device clock when their timezones differ
+ * @param {Object} calendar - Active calendar
+ * @param {Date} now - Current instant
+ */
+function updateTimezoneNote(calendar, now) {
+    const note = document.getElementById('timezone-note');
+    if (!note) return;
+    
+    const foreign = calendar && isForeignTimezone(calendar.timezone, now);
+    note.classList.toggle('hidden', !foreign);
+    if (foreign) {
+        note.textContent = `Times are for ${calendar.timezone} (now ${formatZonedTime(now, calendar.timezone)}) • ` +
+            `Your time ${formatZonedTime(now)}`;
+    }
+}
+
 /**
  * Start countdown timer
  */
@@ -287,18 +411,16 @@ function startCountdown() {
     
     app.countdownInterval = setInterval(async () => {
         const now = new Date();
-        const todayData = await ramadanDB.getTodayData();
+        const calendar = await ramadanDB.getActiveCalendar();
+        const todayData = ramadanDB.getDayData(calendar, now);
         
         if (!todayData) return;
         
-        const [saharHours, saharMinutes] = todayData.saharTime.split(':').map(Number);
-        const [iftarHours, iftarMinutes] = todayData.iftarTime.split(':').map(Number);
+        // Real instants in the calendar's timezone, so the countdown is right wherever the device is
+        const { sahar: saharTime, iftar: iftarTime } = ramadanDB.getDayEventTimes(calendar, todayData);
         
-        const saharTime = new Date(now);
-        saharTime.setHours(saharHours, saharMinutes, 0, 0);
-        
-        const iftarTime = new Date(now);
-        iftarTime.setHours(iftarHours, iftarMinutes, 0, 0);
+        updateTimezoneNote(calendar, now);
+        updateIftarMode(calendar, todayData, now);
         
         let targetTime;
         let label;
@@ -314,59 +436,213 @@ function startCountdown() {
         } else {
             // After iftar
             label = 'Fasting complete for today';
+            if (document.getElementById('fasting-checkin')?.classList.contains('hidden')) {
+                updateFastingCheckin();
+            }
             document.getElementById('countdown').textContent = '00:00:00';
             document.getElementById('countdown-label').textContent = label;
             return;
         }
         
-        const diff = targetTime - now;
-        const hours = Math.floor(diff / (1000 * 60 * 60));
-        const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
-        const seconds = Math.floor((diff % (1000 * 60)) / 1000);
-        
-        document.getElementById('countdown').textContent = 
-            `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+        document.getElementById('countdown').textContent = formatCountdown(targetTime - now, true);
         document.getElementById('countdown-label').textContent = label;
         
     }, 1000);
 }
 
+/**
+ * Format a time left as HH:MM:SS, or MM:SS under an hour
+ * @param {number} diff - Milliseconds left
+ * @param {boolean} withHours - Always show the hours
+ * @returns {string}
+ */
+function formatCountdown(diff, withHours = false) {
+    const hours = Math.floor(diff / (1000 * 60 * 60));
+    const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
+    const seconds = Math.floor((diff % (1000 * 60)) / 1000);
+    const parts = [minutes, seconds];
+    if (hours > 0 || withHours) parts.unshift(hours);
+    
+    return parts.map(part => String(part).padStart(2, '0')).join(':');
+}
+
+/**
+ * Show the "did you fast today?" check-in once Iftar has passed
+ * @param {Object} calendar - Active calendar (looked up when omitted)
+ * @param {Object} todayData - Today's day entry (looked up when omitted)
+ */
+async function updateFastingCheckin(calendar, todayData) {
+    const container = document.getElementById('fasting-checkin');
+    if (!container) return;
+    
+    calendar = calendar || await ramadanDB.getActiveCalendar();
+    todayData = todayData || await ramadanDB.getTodayData();
+    
+    if (!calendar || !todayData || new Date() < ramadanDB.getDayEventTimes(calendar, todayData).iftar) {
+        container.classList.add('hidden');
+        return;
+    }
+    
+    const entry = await ramadanDB.getFastingEntry(calendar.id, todayData.date);
+    container.innerHTML = entry ? `
+        <p>Today: <strong>${formatFastingStatus(entry)}</strong></p>
+        <button class="btn-secondary btn-small" onclick="clearFastingDay(${calendar.id}, '${todayData.date}')">Change</button>
+    ` : `
+        <p>Did you fast today?</p>
+        ${renderFastingButtons(calendar.id, todayData.date)}
+    `;
+    container.classList.remove('hidden');
+}
+
+/**
+ * Render the fasted / missed / exempt buttons for a day
+ * @param {number} calendarId - Calendar ID
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} - HTML
+ */
+function renderFastingButtons(calendarId, date) {
+    return `
+        <div class="fasting-buttons">
+            <button class="btn-primary btn-small" onclick="logFastingDay(${calendarId}, '${date}', 'fasted')">Fasted</button>
+            <button class="btn-secondary btn-small" onclick="logFastingDay(${calendarId}, '${date}', 'missed')">Missed</button>
+            <select class="exempt-reason" onchange="logFastingDay(${calendarId}, '${date}', 'exempt', this.value)">
+                <option value="">Exempt…</option>
+                ${Object.entries(EXEMPT_REASONS).map(([key, label]) => 
+                    `<option value="${key}">${label}</option>`
+                ).join('')}
+            </select>
+        </div>
+    `;
+}
+
+/**
+ * Describe a fasting log entry, e.g. "Exempt (Travel)"
+ * @param {Object} entry - Fasting log entry
+ * @returns {string}
+ */
+function formatFastingStatus(entry) {
+    const label = entry.status.charAt(0).toUpperCase() + entry.status.slice(1);
+    return entry.status === 'exempt' ? `${label} (${EXEMPT_REASONS[entry.reason] || entry.reason})` : label;
+}
+
+/**
+ * Record the fasting status of a day
+ * @param {number} calendarId - Calendar ID
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} status - 'fasted', 'missed' or 'exempt'
+ * @param {string} reason - Exempt reason key
+ */
+async function logFastingDay(calendarId, date, status, reason = null) {
+    if (status === 'exempt' && !reason) return;
+    
+    try {
+        const entry = await ramadanDB.setFastingStatus(calendarId, date, status, reason);
+        showToast(`${date}: ${formatFastingStatus(entry)}`, 'success');
+        refreshFastingViews(calendarId, date);
+    } catch (error) {
+        showToast('Failed to save fasting log', 'error');
+    }
+}
+
+/**
+ * Remove the fasting status of a day
+ * @param {number} calendarId - Calendar ID
+ * @param {string} date - YYYY-MM-DD
+ */
+async function clearFastingDay(calendarId, date) {
+    try {
+        await ramadanDB.clearFastingStatus(calendarId, date);
+        refreshFastingViews(calendarId, date);
+    } catch (error) {
+        showToast('Failed to update fasting log', 'error');
+    }
+}
+
+/**
+ * Re-render every view that shows a calendar's fasting log
+ * @param {number} calendarId - Calendar ID
+ * @param {string} date - Day that changed (kept selected in the overview)
+ */
+function refreshFastingViews(calendarId, date) {
+    updateFastingCheckin();
+    refreshQadaScreen();
+    
+    // Days logged exempt can skip their alarms
+    scheduleAlarms();
+    updateAlarmStatus();
+    
+    if (app.currentScreen === 'catchup') {
+        renderCatchupScreen();
+    }
+    
+    const panel = document.getElementById(`calendar-log-${calendarId}`);
+    if (panel && !panel.classList.contains('hidden')) {
+        renderFastingLog(calendarId, date);
+    }
+}
+
+/**
+ * Describe what changes today's alarms: a pause, a skipped or exempt day,
+ * the weekday shift and quiet periods
+ * @param {Object} settings - Alarm settings
+ * @returns {Promise<Array<string>>}
+ */
+async function describeTodaysAlarmOverrides(settings) {
+    const calendar = await ramadanDB.getActiveCalendar();
+    const parts = [];
+    if (!calendar) return parts;
+    
+    const today = getZonedIsoDate(new Date(), calendar.timezone);
+    const day = calendar.days.find(d => d.date === today) || { date: today };
+    const reason = getAlarmSkipReason(day, settings, await ramadanDB.getAlarmExemptDates(calendar));
+    
+    if (reason === 'paused') {
+        parts.push(`Paused until ${settings.pausedUntil}`);
+    } else if (reason) {
+        parts.push(reason === 'exempt' ? 'Off today (exempt)' : 'Off today');
+    } else {
+        const shift = normalizeAlarmOverrides(calendar.alarmOverrides).weekdays[getIsoWeekday(today)];
+        if (shift) parts.push(`Today ${Math.abs(shift)} min ${shift > 0 ? 'later' : 'earlier'}`);
+    }
+    
+    if (settings.quietPeriods.length === 1) {
+        parts.push(`Quiet ${describeQuietPeriod(settings.quietPeriods[0])}`);
+    } else if (settings.quietPeriods.length > 1) {
+        parts.push(`${settings.quietPeriods.length} quiet periods`);
+    }
+    
+    return parts;
+}
+
 /**
  * Update alarm status display
  */
-function updateAlarmStatus() {
-    const settings = getAlarmSettings();
+async function updateAlarmStatus() {
+    const settings = await ramadanDB.getAlarmSettings();
+    const stored = await ramadanDB.getNextAlarmData();
     const indicator = document.getElementById('alarm-indicator');
     const text = document.getElementById('alarm-text');
     
     if (settings.enabled) {
+        const mechanism = ALARM_MECHANISMS[stored?.mechanism];
         indicator.classList.remove('disabled');
         indicator.classList.add('enabled');
-        text.textContent = `Alarms enabled (${settings.saharMinutes}m / ${settings.iftarMinutes}m before)`;
+        text.textContent = [
+            `Alarms enabled (${describeReminders(settings.reminders)})`,
+            ...(mechanism ? [mechanism.label] : []),
+            ...await describeTodaysAlarmOverrides(settings)
+        ].join(' • ');
     } else {
         indicator.classList.remove('enabled');
         indicator.classList.add('disabled');
         text.textContent = 'Alarms disabled';
     }
-}
-
-/**
- * Get alarm settings from LocalStorage
- * @returns {Object}
- */
-function getAlarmSettings() {
-    const defaults = {
-        enabled: false,
-        saharMinutes: 15,
-        iftarMinutes: 15
-    };
     
-    try {
-        const stored = localStorage.getItem('alarmSettings');
-        return stored ? { ...defaults, ...JSON.parse(stored) } : defaults;
-    } catch {
-        return defaults;
-    }
+    // Missed alarms stay one tap away until the catch-up report is dismissed
+    const missed = await ramadanDB.getMissedAlarms();
+    const missedButton = document.getElementById('missed-alarms-btn');
+    missedButton.classList.toggle('hidden', missed.length === 0);
+    missedButton.textContent = `${missed.length} missed`;
 }
 
 /**
@@ -381,10 +657,104 @@ function renderCalendarsScreen() {
             <div class="calendars-list" id="calendars-list">
                 <p class="loading-text">Loading calendars...</p>
             </div>
+            
+            <div class="trash-section hidden" id="trash-section">
+                <div class="trash-header">
+                    <h3>Trash</h3>
+                    <button class="btn-secondary btn-small" onclick="emptyTrash()">Empty Trash</button>
+                </div>
+                <p class="trash-hint" id="trash-hint"></p>
+                <div class="calendars-list" id="trash-list"></div>
+            </div>
         </div>
     `;
 }
 
+/**
+ * Refresh the Trash section of the Calendars screen
+ */
+async function refreshTrashList() {
+    const section = document.getElementById('trash-section');
+    const listContainer = document.getElementById('trash-list');
+    if (!section || !listContainer) return;
+    
+    try {
+        const deleted = await ramadanDB.getDeletedCalendars();
+        const retentionDays = await ramadanDB.getTrashRetentionDays();
+        
+        section.classList.toggle('hidden', deleted.length === 0);
+        document.getElementById('trash-hint').textContent = 
+            `Deleted calendars are removed permanently after ${retentionDays} days.`;
+        
+        listContainer.innerHTML = deleted.map(cal => {
+            const purgeAt = new Date(cal.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000;
+            const daysLeft = Math.max(0, Math.ceil((purgeAt - Date.now()) / (24 * 60 * 60 * 1000)));
+            
+            return `
+                <div class="calendar-item trashed">
+                    <div class="calendar-info">
+                        <h3>${escapeHtml(cal.name)}</h3>
+                        <p>Deleted ${new Date(cal.deletedAt).toLocaleDateString()} • ${daysLeft} day${daysLeft === 1 ? '' : 's'} left</p>
+                    </div>
+                    <div class="calendar-actions">
+                        <button class="btn-icon" onclick="restoreCalendar(${cal.id})" title="Restore">↺</button>
+                        <button class="btn-icon btn-danger" onclick="purgeCalendar(${cal.id})" title="Delete Forever">✕</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+    } catch (error) {
+        listContainer.innerHTML = '<p class="error-text">Failed to load trash</p>';
+    }
+}
+
+/**
+ * Restore a calendar from the trash
+ * @param {number} id - Calendar ID
+ */
+async function restoreCalendar(id) {
+    try {
+        await ramadanDB.restoreCalendar(id);
+        showToast('Calendar restored', 'success');
+        refreshCalendarsList();
+        updateHomeScreen();
+    } catch (error) {
+        showToast('Failed to restore calendar', 'error');
+    }
+}
+
+/**
+ * Permanently delete a calendar from the trash
+ * @param {number} id - Calendar ID
+ */
+async function purgeCalendar(id) {
+    if (!confirm('Delete this calendar forever? This cannot be undone.')) return;
+    
+    try {
+        await ramadanDB.purgeCalendar(id);
+        showToast('Calendar deleted forever', 'success');
+        refreshCalendarsList();
+    } catch (error) {
+        showToast('Failed to delete calendar', 'error');
+    }
+}
+
+/**
+ * Permanently delete every calendar in the trash
+ */
+async function emptyTrash() {
+    if (!confirm('Empty the trash? These calendars will be deleted forever.')) return;
+    
+    try {
+        await ramadanDB.emptyTrash();
+        showToast('Trash emptied', 'success');
+        refreshCalendarsList();
+    } catch (error) {
+        showToast('Failed to empty trash', 'error');
+    }
+}
+
 /**
  * Refresh the calendars list
  */
@@ -392,9 +762,11 @@ async function refreshCalendarsList() {
     const listContainer = document.getElementById('calendars-list');
     if (!listContainer) return;
     
+    refreshTrashList();
+    
     try {
         const calendars = await ramadanDB.getAllCalendars();
-        const activeId = ramadanDB.getActiveCalendarId();
+        const activeId = await ramadanDB.getActiveCalendarId();
         
         if (calendars.length === 0) {
             listContainer.innerHTML = `
@@ -410,7 +782,9 @@ async function refreshCalendarsList() {
             <div class="calendar-item ${cal.id === activeId ? 'active' : ''}">
                 <div class="calendar-info">
                     <h3>${escapeHtml(cal.name)}</h3>
-                    <p>${cal.year} • ${cal.days?.length || 0} days</p>
+                    <p>${cal.year} • ${cal.days?.length || 0} days${cal.timezone ? ` • ${escapeHtml(cal.timezone)}` : ''}</p>
+                    ${hasIhtiyat(cal.ihtiyat) ? `<p>Margins: ${escapeHtml(describeIhtiyat(cal.ihtiyat))}</p>` : ''}
+                    ${hasAlarmOverrides(cal.alarmOverrides) ? `<p>Alarm overrides: ${escapeHtml(describeAlarmOverrides(cal.alarmOverrides))}</p>` : ''}
                 </div>
                 <div class="calendar-actions">
                     ${cal.id !== activeId ? 
@@ -419,9 +793,14 @@ async function refreshCalendarsList() {
                     }
                     <button class="btn-icon" onclick="editCalendar(${cal.id})" title="Edit">✎</button>
                     <button class="btn-icon" onclick="duplicateCalendar(${cal.id})" title="Duplicate">⎘</button>
+                    <button class="btn-icon" onclick="toggleFastingLog(${cal.id})" title="Fasting Log">📅</button>
+                    <button class="btn-icon" onclick="toggleCalendarHistory(${cal.id})" title="History">🕘</button>
+                    <button class="btn-icon" onclick="showPrintView(${cal.id})" title="Print Timetable">🖨</button>
                     <button class="btn-icon btn-danger" onclick="deleteCalendar(${cal.id})" title="Delete">✕</button>
                 </div>
             </div>
+            <div class="calendar-log hidden" id="calendar-log-${cal.id}"></div>
+            <div class="calendar-history hidden" id="calendar-history-${cal.id}"></div>
         `).join('');
         
     } catch (error) {
@@ -429,12 +808,208 @@ async function refreshCalendarsList() {
     }
 }
 
+/**
+ * Show or hide the fasting log overview of a calendar
+ * @param {number} id - Calendar ID
+ */
+async function toggleFastingLog(id) {
+    const panel = document.getElementById(`calendar-log-${id}`);
+    if (!panel) return;
+    
+    if (!panel.classList.contains('hidden')) {
+        panel.classList.add('hidden');
+        return;
+    }
+    
+    await renderFastingLog(id);
+    panel.classList.remove('hidden');
+}
+
+/**
+ * Render the month overview of a calendar's fasting log into its panel
+ * @param {number} id - Calendar ID
+ * @param {string} selectedDate - Day whose buttons are shown (YYYY-MM-DD)
+ */
+async function renderFastingLog(id, selectedDate = null) {
+    const panel = document.getElementById(`calendar-log-${id}`);
+    if (!panel) return;
+    
+    try {
+        const calendar = await ramadanDB.getCalendar(id);
+        const log = await ramadanDB.getFastingLog(id);
+        const entries = new Map(log.map(entry => [entry.date, entry]));
+        const counts = { fasted: 0, missed: 0, exempt: 0 };
+        log.forEach(entry => counts[entry.status]++);
+        
+        const selected = selectedDate && entries.get(selectedDate);
+        
+        panel.innerHTML = `
+            <h4>Fasting Log</h4>
+            <p class="fasting-summary">
+                ${counts.fasted} fasted • ${counts.missed} missed • ${counts.exempt} exempt • 
+                ${Math.max(0, calendar.days.length - log.length)} not logged
+            </p>
+            <div class="fasting-grid">
+                ${calendar.days.map((day, i) => {
+                    const entry = entries.get(day.date);
+                    return `
+                        <button class="fasting-day ${entry ? entry.status : ''} ${day.date === selectedDate ? 'selected' : ''}" 
+                            onclick="renderFastingLog(${id}, '${day.date}')" 
+                            title="${day.date}${entry ? ' – ' + formatFastingStatus(entry) : ''}">${i + 1}</button>
+                    `;
+                }).join('')}
+            </div>
+            ${selectedDate ? `
+                <div class="fasting-day-editor">
+                    <p><strong>${selectedDate}</strong> ${selected ? '– ' + formatFastingStatus(selected) : ''}</p>
+                    ${renderFastingButtons(id, selectedDate)}
+                    ${selected ? `<button class="btn-secondary btn-small" onclick="clearFastingDay(${id}, '${selectedDate}')">Clear</button>` : ''}
+                </div>
+            ` : '<p class="fasting-hint">Tap a day to log it.</p>'}
+        `;
+        
+    } catch (error) {
+        panel.innerHTML = '<p class="error-text">Failed to load fasting log</p>';
+    }
+}
+
+/**
+ * Show or hide the revision history panel of a calendar
+ * @param {number} id - Calendar ID
+ */
+async function toggleCalendarHistory(id) {
+    const panel = document.getElementById(`calendar-history-${id}`);
+    if (!panel) return;
+    
+    if (!panel.classList.contains('hidden')) {
+        panel.classList.add('hidden');
+        return;
+    }
+    
+    await renderCalendarHistory(id);
+    panel.classList.remove('hidden');
+}
+
+/**
+ * Render the revision history of a calendar into its panel
+ * @param {number} id - Calendar ID
+ */
+async function renderCalendarHistory(id) {
+    const panel = document.getElementById(`calendar-history-${id}`);
+    if (!panel) return;
+    
+    try {
+        const revisions = await ramadanDB.getRevisions(id);
+        
+        if (revisions.length === 0) {
+            panel.innerHTML = '<p class="history-empty">No history yet</p>';
+            return;
+        }
+        
+        panel.innerHTML = `
+            <h4>History</h4>
+            <ol class="revision-list">
+                ${revisions.map((revision, index) => `
+                    <li class="revision-item">
+                        <div class="revision-header">
+                            <span>
+                                <strong>${REVISION_SOURCE_LABELS[revision.source] || escapeHtml(revision.source)}</strong>
+                                • ${new Date(revision.createdAt).toLocaleString()}
+                            </span>
+                            ${index === 0 ? 
+                                '<span class="active-badge">Current</span>' : 
+                                `<button class="btn-secondary btn-small" onclick="restoreCalendarRevision(${revision.id}, ${id})">Restore</button>`
+                            }
+                        </div>
+                        ${revision.changes.length > 0 ? `
+                            <ul class="revision-changes">
+                                ${revision.changes.map(change => `<li>${formatRevisionChange(change)}</li>`).join('')}
+                            </ul>
+                        ` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    } catch (error) {
+        panel.innerHTML = '<p class="error-text">Failed to load history</p>';
+    }
+}
+
+// Labels for the source recorded with each revision
+const REVISION_SOURCE_LABELS = {
+    original: 'Original version',
+    created: 'Created',
+    edit: 'Edited',
+    restore: 'Restored',
+    import: 'Imported'
+};
+
+// Labels for calendar and day fields shown in diffs
+const FIELD_LABELS = {
+    name: 'Name',
+    year: 'Year',
+    timezone: 'Timezone',
+    ihtiyat: 'Safety margins',
+    alarmOverrides: 'Alarm overrides',
+    skipAlarms: 'Skip alarms',
+    date: 'Date',
+    saharTime: 'Sahar',
+    iftarTime: 'Iftar',
+    prayers: 'Prayer times'
+};
+
+/**
+ * Describe a single change from diffCalendars as HTML
+ * @param {Object} change - Change entry
+ * @returns {string}
+ */
+function formatRevisionChange(change) {
+    const label = FIELD_LABELS[change.field] || change.field;
+    const format = (value) => {
+        if (value === null) return '—';
+        if (change.field === 'ihtiyat') return escapeHtml(describeIhtiyat(value));
+        if (change.field === 'alarmOverrides') return escapeHtml(describeAlarmOverrides(value));
+        if (change.field === 'skipAlarms') return 'Yes';
+        if (change.field === 'prayers') return escapeHtml(describePrayerTimes(value));
+        return escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    };
+    
+    if (change.type === 'day') {
+        if (change.field === 'date' && change.from === null) {
+            return `Day ${change.day}: added (${format(change.to)})`;
+        }
+        if (change.field === 'date' && change.to === null) {
+            return `Day ${change.day}: removed (${format(change.from)})`;
+        }
+        return `Day ${change.day}: ${label} <del>${format(change.from)}</del> → <ins>${format(change.to)}</ins>`;
+    }
+    
+    return `${label}: <del>${format(change.from)}</del> → <ins>${format(change.to)}</ins>`;
+}
+
+/**
+ * Restore a calendar to an earlier revision
+ * @param {number} revisionId - Revision ID
+ * @param {number} calendarId - Calendar ID
+ */
+async function restoreCalendarRevision(revisionId, calendarId) {
+    try {
+        await ramadanDB.restoreRevision(revisionId);
+        showToast('Earlier version restored', 'success');
+        await refreshCalendarsList();
+        await toggleCalendarHistory(calendarId);
+        updateHomeScreen();
+    } catch (error) {
+        showToast('Failed to restore version', 'error');
+    }
+}
+
 /**
  * Select a calendar as active
  * @param {number} id - Calendar ID
  */
 async function selectCalendar(id) {
-    ramadanDB.setActiveCalendar(id);
+    await ramadanDB.setActiveCalendar(id);
     showToast('Calendar selected', 'success');
     refreshCalendarsList();
     updateHomeScreen();
@@ -466,15 +1041,16 @@ async function duplicateCalendar(id) {
 }
 
 /**
- * Delete a calendar
+ * Move a calendar to the trash
  * @param {number} id - Calendar ID
  */
 async function deleteCalendar(id) {
-    if (!confirm('Are you sure you want to delete this calendar?')) return;
-    
     try {
         await ramadanDB.deleteCalendar(id);
-        showToast('Calendar deleted', 'success');
+        showToast('Calendar moved to Trash', 'success', {
+            actionLabel: 'Undo',
+            onAction: () => restoreCalendar(id)
+        });
         refreshCalendarsList();
         updateHomeScreen();
     } catch (error) {
@@ -497,19 +1073,154 @@ function renderEditorScreen() {
                     <input type="text" id="cal-name" required placeholder="e.g., Ramadan 2026">
                 </div>
                 
-                <div class="form-group">
-                    <label for="cal-year">Year</label>
-                    <input type="number" id="cal-year" required min="2000" max="2100" value="${new Date().getFullYear()}">
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="cal-year">Year</label>
+                        <input type="number" id="cal-year" required min="2000" max="2100" value="${new Date().getFullYear()}">
+                    </div>
+                    <div class="form-group">
+                        <label for="cal-timezone">Timezone</label>
+                        <input type="text" id="cal-timezone" list="timezone-options" required value="${escapeHtml(getDeviceTimezone())}">
+                        <datalist id="timezone-options">
+                            ${listTimezones().map(zone => `<option value="${zone}">`).join('')}
+                        </datalist>
+                    </div>
                 </div>
                 
-                <div class="days-table-container">
-                    <table class="days-table" id="days-table">
+                <details class="generator-panel" id="generator-panel">
+                    <summary>Generate from location</summary>
+                    <p class="generator-hint">Calculate Sahar (Fajr), Iftar (Maghrib) and the other prayer times offline from your coordinates.</p>
+                    
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="gen-latitude">Latitude</label>
+                            <input type="number" id="gen-latitude" step="any" min="-90" max="90" placeholder="e.g., 21.4225">
+                        </div>
+                        <div class="form-group">
+                            <label for="gen-longitude">Longitude</label>
+                            <input type="number" id="gen-longitude" step="any" min="-180" max="180" placeholder="e.g., 39.8262">
+                        </div>
+                    </div>
+                    
+                    <button type="button" class="btn-secondary" onclick="useCurrentLocation()">📍 Use My Location</button>
+                    
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="gen-timezone">Timezone</label>
+                            <input type="text" id="gen-timezone" placeholder="e.g., Asia/Riyadh or +3" value="${escapeHtml(Intl.DateTimeFormat().resolvedOptions().timeZone || '')}">
+                        </div>
+                        <div class="form-group">
+                            <label for="gen-method">Calculation Method</label>
+                            <select id="gen-method">
+                                ${Object.entries(CALCULATION_METHODS).map(([key, method]) => 
+                                    `<option value="${key}" ${key === DEFAULT_CALCULATION_METHOD ? 'selected' : ''}>${method.name}</option>`
+                                ).join('')}
+                            </select>
+                        </div>
+                    </div>
+                    
+                    <div class="form-row hidden" id="gen-custom-angles">
+                        <div class="form-group">
+                            <label for="gen-fajr-angle">Fajr Angle (°)</label>
+                            <input type="number" id="gen-fajr-angle" step="0.1" min="10" max="25" value="${CALCULATION_METHODS.Custom.fajr}">
+                        </div>
+                        <div class="form-group">
+                            <label for="gen-isha-angle">Isha Angle (°)</label>
+                            <input type="number" id="gen-isha-angle" step="0.1" min="10" max="25" value="${CALCULATION_METHODS.Custom.isha}">
+                        </div>
+                    </div>
+                    
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="gen-start-date">First Day of Ramadan</label>
+                            <input type="date" id="gen-start-date">
+                        </div>
+                        <div class="form-group">
+                            <label for="gen-day-count">Number of Days</label>
+                            <select id="gen-day-count">
+                                <option value="30" selected>30</option>
+                                <option value="29">29</option>
+                            </select>
+                        </div>
+                    </div>
+                    
+                    <button type="button" class="btn-primary" onclick="generateEditorDays()">Generate Times</button>
+                </details>
+                
+                <details class="generator-panel" id="ihtiyat-panel">
+                    <summary>Safety margins (ihtiyat)</summary>
+                    <p class="generator-hint">End Sahar earlier and start Iftar later than the published times. The times you enter below are kept as published.</p>
+                    
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="ihtiyat-sahar">Sahar: minutes earlier</label>
+                            <input type="number" id="ihtiyat-sahar" min="0" max="${MAX_IHTIYAT_MINUTES}" value="0">
+                        </div>
+                        <div class="form-group">
+                            <label for="ihtiyat-iftar">Iftar: minutes later</label>
+                            <input type="number" id="ihtiyat-iftar" min="0" max="${MAX_IHTIYAT_MINUTES}" value="0">
+                        </div>
+                    </div>
+                    
+                    <table class="ihtiyat-weekdays">
                         <thead>
-                            <tr>
-                                <th>Day</th>
-                                <th>Date (DD-MM)</th>
-                                <th>Sahar Time</th>
+                            <tr><th>Weekday</th><th>Sahar</th><th>Iftar</th></tr>
+                        </thead>
+                        <tbody>
+                            ${WEEKDAY_NAMES.map((name, weekday) => `
+                                <tr>
+                                    <td>${name}</td>
+                                    <td><input type="number" class="ihtiyat-weekday" data-event="sahar" data-weekday="${weekday}" min="0" max="${MAX_IHTIYAT_MINUTES}" placeholder="Default"></td>
+                                    <td><input type="number" class="ihtiyat-weekday" data-event="iftar" data-weekday="${weekday}" min="0" max="${MAX_IHTIYAT_MINUTES}" placeholder="Default"></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </details>
+                
+                <details class="generator-panel" id="alarm-overrides-panel">
+                    <summary>Alarm overrides</summary>
+                    <p class="generator-hint">Change this calendar's reminders on some days. Tick "Skip Alarms" on a day below to silence it completely.</p>
+                    
+                    <label class="prayer-columns-toggle">
+                        <input type="checkbox" id="override-skip-exempt">
+                        Skip alarms on days logged exempt (travel, illness…)
+                    </label>
+                    
+                    <table class="ihtiyat-weekdays">
+                        <thead>
+                            <tr><th>Weekday</th><th>Reminders later by (min)</th></tr>
+                        </thead>
+                        <tbody>
+                            ${WEEKDAY_NAMES.map((name, weekday) => `
+                                <tr>
+                                    <td>${name}</td>
+                                    <td><input type="number" class="override-weekday" data-weekday="${weekday}" min="-${MAX_ALARM_SHIFT_MINUTES}" max="${MAX_ALARM_SHIFT_MINUTES}" placeholder="0"></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                    <p class="generator-hint">Negative values ring earlier. Reminders never move past their event.</p>
+                </details>
+                
+                <div class="days-toolbar">
+                    <label class="prayer-columns-toggle">
+                        <input type="checkbox" id="show-prayer-columns" onchange="togglePrayerColumns()">
+                        Prayer times
+                    </label>
+                    <button type="button" class="btn-secondary" onclick="autoFillRamadanDates()">Auto-fill Dates from 1 Ramadan</button>
+                </div>
+                
+                <div class="days-table-container">
+                    <table class="days-table" id="days-table">
+                        <thead>
+                            <tr>
+                                <th>Day</th>
+                                <th>Date</th>
+                                <th>Sahar Time</th>
                                 <th>Iftar Time</th>
+                                <th>Skip Alarms</th>
+                                ${Object.values(PRAYER_NAMES).map(name => `<th class="prayer-col">${name}</th>`).join('')}
                             </tr>
                         </thead>
                         <tbody id="days-tbody">
@@ -536,10 +1247,14 @@ function renderEditorScreen() {
     for (let i = 1; i <= 30; i++) {
         const row = document.createElement('tr');
         row.innerHTML = `
-            <td>${i}</td>
-            <td><input type="text" class="day-date" placeholder="DD-MM" pattern="\\d{2}-\\d{2}" maxlength="5"></td>
+            <td>${i}<span class="day-hijri"></span></td>
+            <td><input type="date" class="day-date"></td>
             <td><input type="time" class="day-sahar"></td>
             <td><input type="time" class="day-iftar"></td>
+            <td><input type="checkbox" class="day-skip-alarms" aria-label="Skip alarms on day ${i}"></td>
+            ${Object.keys(PRAYER_NAMES).map(prayer => 
+                `<td class="prayer-col"><input type="time" class="day-prayer" data-prayer="${prayer}"></td>`
+            ).join('')}
         `;
         tbody.appendChild(row);
     }
@@ -547,10 +1262,21 @@ function renderEditorScreen() {
     // Setup form submission
     document.getElementById('calendar-form').addEventListener('submit', handleCalendarSave);
     
+    // Show custom angle inputs only for the custom method
+    const methodSelect = document.getElementById('gen-method');
+    methodSelect.addEventListener('change', () => {
+        document.getElementById('gen-custom-angles').classList.toggle('hidden', methodSelect.value !== 'Custom');
+    });
+    
     // Setup progress tracking
     document.querySelectorAll('#days-tbody input').forEach(input => {
         input.addEventListener('input', updateProgress);
     });
+    
+    // Keep Hijri labels in sync with the dates
+    document.querySelectorAll('#days-tbody .day-date').forEach(input => {
+        input.addEventListener('input', updateHijriLabels);
+    });
 }
 
 /**
@@ -565,28 +1291,223 @@ function showEditor(calendar = null) {
         document.getElementById('editor-title').textContent = 'Edit Calendar';
         document.getElementById('cal-name').value = calendar.name;
         document.getElementById('cal-year').value = calendar.year;
+        document.getElementById('cal-timezone').value = calendar.timezone || getDeviceTimezone();
+        fillIhtiyatForm(calendar.ihtiyat);
+        fillAlarmOverridesForm(calendar.alarmOverrides);
         
         // Fill in days
-        const rows = document.querySelectorAll('#days-tbody tr');
-        calendar.days.forEach((day, index) => {
-            if (rows[index]) {
-                rows[index].querySelector('.day-date').value = day.date || '';
-                rows[index].querySelector('.day-sahar').value = day.saharTime || '';
-                rows[index].querySelector('.day-iftar').value = day.iftarTime || '';
-            }
-        });
+        fillEditorDays(calendar.days);
         
         // Store editing ID
         form.dataset.editingId = calendar.id;
     } else {
         document.getElementById('editor-title').textContent = 'Create Calendar';
         delete form.dataset.editingId;
+        fillIhtiyatForm();
+        fillAlarmOverridesForm();
+        togglePrayerColumns();
     }
     
     updateProgress();
+    updateHijriLabels();
     showScreen('editor');
 }
 
+/**
+ * Fill the editor's safety margin inputs from a calendar's rules
+ * @param {Object} ihtiyat - Calendar safety margin rules
+ */
+function fillIhtiyatForm(ihtiyat) {
+    const rules = normalizeIhtiyat(ihtiyat);
+    
+    document.getElementById('ihtiyat-sahar').value = rules.sahar.minutes;
+    document.getElementById('ihtiyat-iftar').value = rules.iftar.minutes;
+    document.querySelectorAll('.ihtiyat-weekday').forEach(input => {
+        const minutes = rules[input.dataset.event].weekdays[input.dataset.weekday];
+        input.value = minutes ?? '';
+    });
+    
+    document.getElementById('ihtiyat-panel').open = hasIhtiyat(rules);
+}
+
+/**
+ * Read the safety margin rules from the editor
+ * @returns {Object}
+ */
+function readIhtiyatForm() {
+    const ihtiyat = {
+        sahar: { minutes: document.getElementById('ihtiyat-sahar').value, weekdays: {} },
+        iftar: { minutes: document.getElementById('ihtiyat-iftar').value, weekdays: {} }
+    };
+    
+    document.querySelectorAll('.ihtiyat-weekday').forEach(input => {
+        if (input.value !== '') {
+            ihtiyat[input.dataset.event].weekdays[input.dataset.weekday] = input.value;
+        }
+    });
+    
+    return normalizeIhtiyat(ihtiyat);
+}
+
+/**
+ * Fill the editor's alarm override inputs from a calendar's rules
+ * @param {Object} overrides - Calendar alarm overrides
+ */
+function fillAlarmOverridesForm(overrides) {
+    const rules = normalizeAlarmOverrides(overrides);
+    
+    document.getElementById('override-skip-exempt').checked = rules.skipExempt;
+    document.querySelectorAll('.override-weekday').forEach(input => {
+        input.value = rules.weekdays[input.dataset.weekday] ?? '';
+    });
+    
+    document.getElementById('alarm-overrides-panel').open = hasAlarmOverrides(rules);
+}
+
+/**
+ * Read the alarm overrides from the editor
+ * @returns {Object}
+ */
+function readAlarmOverridesForm() {
+    const overrides = {
+        skipExempt: document.getElementById('override-skip-exempt').checked,
+        weekdays: {}
+    };
+    
+    document.querySelectorAll('.override-weekday').forEach(input => {
+        overrides.weekdays[input.dataset.weekday] = input.value;
+    });
+    
+    return normalizeAlarmOverrides(overrides);
+}
+
+/**
+ * Label each editor row with the Hijri date of its Gregorian date
+ */
+async function updateHijriLabels() {
+    const hijriSettings = await ramadanDB.getHijriSettings();
+    
+    document.querySelectorAll('#days-tbody tr').forEach(row => {
+        const label = row.querySelector('.day-hijri');
+        const date = row.querySelector('.day-date').value;
+        
+        label.textContent = date ? formatHijriDate(gregorianToHijri(date, hijriSettings), { includeYear: false }) : '';
+    });
+}
+
+/**
+ * Fill the date column starting from 1 Ramadan of the selected year
+ */
+async function autoFillRamadanDates() {
+    const year = parseInt(document.getElementById('cal-year').value, 10);
+    if (!year) {
+        showToast('Please enter a year first', 'error');
+        return;
+    }
+    
+    const dates = getRamadanDates(year, await ramadanDB.getHijriSettings());
+    const rows = document.querySelectorAll('#days-tbody tr');
+    
+    rows.forEach((row, index) => {
+        const date = dates[index];
+        row.querySelector('.day-date').value = date ? toIsoDate(date) : '';
+    });
+    
+    updateProgress();
+    updateHijriLabels();
+    showToast(`Filled ${dates.length} dates starting ${dates[0].toLocaleDateString('en-US', { month: 'long', day: 'numeric' })}`, 'success');
+}
+
+/**
+ * Fill the editor rows with day data
+ * @param {Array} days - Days to fill in (rows beyond the array are cleared)
+ */
+function fillEditorDays(days) {
+    const rows = document.querySelectorAll('#days-tbody tr');
+    rows.forEach((row, index) => {
+        const day = days[index] || {};
+        row.querySelector('.day-date').value = day.date || '';
+        row.querySelector('.day-sahar').value = day.saharTime || '';
+        row.querySelector('.day-iftar').value = day.iftarTime || '';
+        row.querySelector('.day-skip-alarms').checked = Boolean(day.skipAlarms);
+        row.querySelectorAll('.day-prayer').forEach(input => {
+            input.value = (day.prayers && day.prayers[input.dataset.prayer]) || '';
+        });
+    });
+    
+    // Show the prayer columns whenever there are prayer times to see
+    document.getElementById('show-prayer-columns').checked = days.some(day => day.prayers);
+    togglePrayerColumns();
+}
+
+/**
+ * Show or hide the prayer time columns of the days table
+ */
+function togglePrayerColumns() {
+    const show = document.getElementById('show-prayer-columns').checked;
+    document.getElementById('days-table').classList.toggle('show-prayers', show);
+}
+
+/**
+ * Fill the generator coordinates from the device location
+ */
+function useCurrentLocation() {
+    if (!('geolocation' in navigator)) {
+        showToast('Location is not available on this device', 'error');
+        return;
+    }
+    
+    navigator.geolocation.getCurrentPosition(
+        (position) => {
+            document.getElementById('gen-latitude').value = position.coords.latitude.toFixed(4);
+            document.getElementById('gen-longitude').value = position.coords.longitude.toFixed(4);
+            showToast('Location detected', 'success');
+        },
+        () => {
+            showToast('Could not get your location. Enter coordinates manually.', 'error');
+        },
+        { timeout: 10000 }
+    );
+}
+
+/**
+ * Generate editor rows from the location settings
+ */
+function generateEditorDays() {
+    const startDate = document.getElementById('gen-start-date').value;
+    if (!startDate) {
+        showToast('Please choose the first day of Ramadan', 'error');
+        return;
+    }
+    
+    try {
+        const days = generateCalendarDays({
+            latitude: document.getElementById('gen-latitude').value,
+            longitude: document.getElementById('gen-longitude').value,
+            timezone: document.getElementById('gen-timezone').value.trim(),
+            method: document.getElementById('gen-method').value,
+            fajrAngle: document.getElementById('gen-fajr-angle').value,
+            ishaAngle: document.getElementById('gen-isha-angle').value,
+            startDate: startDate,
+            days: parseInt(document.getElementById('gen-day-count').value, 10)
+        });
+        
+        fillEditorDays(days);
+        document.getElementById('cal-year').value = startDate.slice(0, 4);
+        
+        // Times were calculated for this timezone, so the calendar should use it too
+        const timezone = document.getElementById('gen-timezone').value.trim();
+        if (isValidTimezone(timezone)) {
+            document.getElementById('cal-timezone').value = timezone;
+        }
+        updateProgress();
+        updateHijriLabels();
+        showToast(`Generated ${days.length} days`, 'success');
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
 /**
  * Cancel editing
  */
@@ -605,8 +1526,16 @@ async function handleCalendarSave(e) {
     
     const name = document.getElementById('cal-name').value.trim();
     const year = parseInt(document.getElementById('cal-year').value);
+    const timezone = document.getElementById('cal-timezone').value.trim();
+    const ihtiyat = readIhtiyatForm();
+    const alarmOverrides = readAlarmOverridesForm();
     const editingId = e.target.dataset.editingId;
     
+    if (!isValidTimezone(timezone)) {
+        showToast('Please enter a valid timezone, e.g. Europe/London', 'error');
+        return;
+    }
+    
     // Collect days data
     const days = [];
     const rows = document.querySelectorAll('#days-tbody tr');
@@ -615,9 +1544,21 @@ async function handleCalendarSave(e) {
         const date = row.querySelector('.day-date').value.trim();
         const saharTime = row.querySelector('.day-sahar').value;
         const iftarTime = row.querySelector('.day-iftar').value;
+        const skipAlarms = row.querySelector('.day-skip-alarms').checked;
+        
+        const prayers = {};
+        row.querySelectorAll('.day-prayer').forEach(input => {
+            if (input.value) prayers[input.dataset.prayer] = input.value;
+        });
         
         if (date && saharTime && iftarTime) {
-            days.push({ date, saharTime, iftarTime });
+            days.push({
+                date,
+                saharTime,
+                iftarTime,
+                ...(Object.keys(prayers).length ? { prayers } : {}),
+                ...(skipAlarms ? { skipAlarms } : {})
+            });
         }
     });
     
@@ -628,10 +1569,10 @@ async function handleCalendarSave(e) {
     
     try {
         if (editingId) {
-            await ramadanDB.updateCalendar(parseInt(editingId), { name, year, days });
+            await ramadanDB.updateCalendar(parseInt(editingId), { name, year, timezone, ihtiyat, alarmOverrides, days });
             showToast('Calendar updated', 'success');
         } else {
-            await ramadanDB.createCalendar({ name, year, days });
+            await ramadanDB.createCalendar({ name, year, timezone, ihtiyat, alarmOverrides, days });
             showToast('Calendar created', 'success');
         }
         
@@ -668,9 +1609,12 @@ function updateProgress() {
 /**
  * Render Settings screen
  */
-function renderSettingsScreen() {
+async function renderSettingsScreen() {
     const container = document.getElementById('screen-settings');
-    const settings = getAlarmSettings();
+    const settings = await ramadanDB.getAlarmSettings();
+    const hijriSettings = await ramadanDB.getHijriSettings();
+    const iftarModeSettings = await ramadanDB.getIftarModeSettings();
+    const trashRetentionDays = await ramadanDB.getTrashRetentionDays();
     
     container.innerHTML = `
         <div class="settings-container">
@@ -688,20 +1632,172 @@ function renderSettingsScreen() {
                 </div>
                 
                 <div class="setting-item" id="alarm-options">
+                    ${renderReminderGroups(settings.reminders, ['sahar', 'iftar'])}
+                    
+                    <details class="generator-panel" ${settings.reminders.some(reminder => !['sahar', 'iftar'].includes(reminder.event)) ? 'open' : ''}>
+                        <summary>Prayer, Taraweeh &amp; Tahajjud reminders</summary>
+                        <p class="generator-hint">Prayer reminders use the prayer times stored in the calendar (generated calendars have them). Tahajjud starts the last third of the night between Iftar and the next Sahar.</p>
+                        
+                        <div class="form-group">
+                            <label for="taraweeh-offset">Taraweeh starts (minutes after Isha)</label>
+                            <input type="number" id="taraweeh-offset" min="0" max="180" value="${settings.taraweehOffset}">
+                        </div>
+                        
+                        ${renderReminderGroups(settings.reminders, [...Object.keys(PRAYER_NAMES), 'taraweeh', 'tahajjud'])}
+                    </details>
+                    
+                    <p class="generator-hint">Minutes before the event (0 = at the event). Messages can use {event}, {minutes}, {time} and {label}; leave blank for the default.</p>
+                    
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="alarm-volume">Alarm volume</label>
+                            <input type="range" id="alarm-volume" min="0" max="100" value="${settings.volume}">
+                        </div>
+                        <div class="form-group">
+                            <label for="alarm-crescendo">Rise to full volume over</label>
+                            <select id="alarm-crescendo">
+                                ${[0, 15, 30, 60, 120].map(seconds => 
+                                    `<option value="${seconds}" ${seconds === settings.crescendoSeconds ? 'selected' : ''}>${seconds ? `${seconds} seconds` : 'Off (full volume at once)'}</option>`
+                                ).join('')}
+                            </select>
+                        </div>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="alarm-snooze">Snooze (minutes)</label>
+                        <input type="number" id="alarm-snooze" min="1" max="30" value="${settings.snoozeMinutes}">
+                    </div>
+                    
+                    <div class="reminder-group">
+                        <h4>Quiet periods</h4>
+                        <ul class="reminder-list" id="quiet-periods">
+                            ${settings.quietPeriods.map(renderQuietPeriodRow).join('')}
+                        </ul>
+                        <button type="button" class="btn-secondary btn-small" onclick="addQuietPeriodRow()">+ Add Quiet Period</button>
+                        <p class="generator-hint">Reminders that fall in a quiet period don't ring. Times are in the calendar's timezone; a period that ends before it starts runs past midnight. Tick no days for every day.</p>
+                    </div>
+                    
                     <div class="form-group">
-                        <label for="sahar-minutes">Minutes before Sahar</label>
-                        <input type="number" id="sahar-minutes" min="1" max="60" value="${settings.saharMinutes}">
+                        <label for="alarm-paused-until">Pause alarms until</label>
+                        <input type="date" id="alarm-paused-until" value="${settings.pausedUntil || ''}">
+                        <p class="generator-hint">Alarms resume on this date. Leave empty to keep them on.</p>
+                    </div>
+                </div>
+                
+                <button class="btn-primary" onclick="saveSettings()">Save Settings</button>
+            </div>
+            
+            <div class="settings-section">
+                <h3>Upcoming Alarms</h3>
+                <div id="alarm-mechanism"></div>
+                <div id="alarm-queue"></div>
+            </div>
+            
+            <div class="settings-section">
+                <h3>Alarm Log</h3>
+                <p class="generator-hint">Every alarm scheduled, fired, snoozed, answered or missed on this device, with how it was delivered. Export it when reporting an alarm that didn't ring.</p>
+                
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="alarm-log-event">Show</label>
+                        <select id="alarm-log-event" onchange="renderAlarmLog()">
+                            <option value="">All entries</option>
+                            ${Object.entries(ALARM_LOG_EVENTS).map(([event, label]) => 
+                                `<option value="${event}">${label}</option>`
+                            ).join('')}
+                        </select>
                     </div>
                     
                     <div class="form-group">
-                        <label for="iftar-minutes">Minutes before Iftar</label>
-                        <input type="number" id="iftar-minutes" min="1" max="60" value="${settings.iftarMinutes}">
+                        <label for="alarm-log-type">Alarm</label>
+                        <select id="alarm-log-type" onchange="renderAlarmLog()">
+                            <option value="">All alarms</option>
+                            ${Object.entries(ALARM_EVENTS).map(([event, name]) => 
+                                `<option value="${event}">${name}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                </div>
+                
+                <div id="alarm-log"></div>
+                
+                <div class="form-actions">
+                    <button class="btn-secondary" onclick="clearAlarmLogEntries()">Clear Log</button>
+                    <button class="btn-primary" onclick="exportAlarmLog()">Export Log</button>
+                </div>
+            </div>
+            
+            <div class="settings-section">
+                <h3>Iftar Mode</h3>
+                <p class="generator-hint">A full-screen countdown with a large clock that keeps the screen on in the last minutes, and shows the Iftar dua when the fast ends. Open it any time with ⛶ on the home screen.</p>
+                
+                <div class="setting-item">
+                    <label class="toggle">
+                        <input type="checkbox" id="iftar-mode-enabled" ${iftarModeSettings.enabled ? 'checked' : ''}>
+                        <span class="toggle-slider"></span>
+                        <span class="toggle-label">Open automatically</span>
+                    </label>
+                </div>
+                
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="iftar-mode-minutes">Minutes before the event</label>
+                        <input type="number" id="iftar-mode-minutes" min="1" max="${MAX_IFTAR_MODE_MINUTES}" value="${iftarModeSettings.minutes}">
+                    </div>
+                    
+                    <div class="form-group">
+                        <label>Before</label>
+                        ${['sahar', 'iftar'].map(event => `
+                            <label class="prayer-columns-toggle">
+                                <input type="checkbox" class="iftar-mode-event" value="${event}" ${iftarModeSettings.events.includes(event) ? 'checked' : ''}>
+                                ${event === 'sahar' ? 'Sahar ends' : 'Iftar'}
+                            </label>
+                        `).join('')}
                     </div>
                 </div>
                 
                 <button class="btn-primary" onclick="saveSettings()">Save Settings</button>
             </div>
             
+            <div class="settings-section">
+                <h3>Hijri Date</h3>
+                
+                <div class="form-group">
+                    <label for="hijri-method">Calculation</label>
+                    <select id="hijri-method">
+                        ${Object.entries(HIJRI_METHODS).map(([key, label]) => 
+                            `<option value="${key}" ${key === hijriSettings.method ? 'selected' : ''}>${label}</option>`
+                        ).join('')}
+                    </select>
+                </div>
+                
+                <div class="form-group">
+                    <label for="hijri-adjustment">Adjustment (days)</label>
+                    <select id="hijri-adjustment">
+                        ${[-2, -1, 0, 1, 2].map(value => 
+                            `<option value="${value}" ${value === hijriSettings.adjustment ? 'selected' : ''}>${value > 0 ? '+' : ''}${value}</option>`
+                        ).join('')}
+                    </select>
+                </div>
+                
+                <button class="btn-primary" onclick="saveSettings()">Save Settings</button>
+            </div>
+            
+            <div class="settings-section">
+                <h3>Trash</h3>
+                
+                <div class="form-group">
+                    <label for="trash-retention">Keep deleted calendars for</label>
+                    <select id="trash-retention">
+                        ${[7, 14, 30, 60, 90].map(days => 
+                            `<option value="${days}" ${days === trashRetentionDays ? 'selected' : ''}>${days} days</option>`
+                        ).join('')}
+                    </select>
+                </div>
+                
+                <button class="btn-primary" onclick="saveSettings()">Save Settings</button>
+            </div>
+            
             <div class="settings-section">
                 <h3>About</h3>
                 <p>RamadanReady v1.0</p>
@@ -716,6 +1812,9 @@ function renderSettingsScreen() {
         </div>
     `;
     
+    renderAlarmQueue();
+    renderAlarmLog();
+    
     // Toggle alarm options visibility
     const alarmToggle = document.getElementById('alarm-enabled');
     const alarmOptions = document.getElementById('alarm-options');
@@ -729,35 +1828,327 @@ function renderSettingsScreen() {
     }
 }
 
+/**
+ * Build the reminder lists for some events
+ * @param {Array} reminders - All reminders
+ * @param {Array<string>} events - Keys of ALARM_EVENTS to show
+ * @returns {string}
+ */
+function renderReminderGroups(reminders, events) {
+    return events.map(event => `
+        <div class="reminder-group">
+            <h4>${ALARM_EVENTS[event]} reminders</h4>
+            <ul class="reminder-list" id="reminders-${event}">
+                ${reminders.filter(reminder => reminder.event === event).map(renderReminderRow).join('')}
+            </ul>
+            <button type="button" class="btn-secondary btn-small" onclick="addReminderRow('${event}')">+ Add Reminder</button>
+        </div>
+    `).join('');
+}
+
+/**
+ * Build the Settings row for one reminder
+ * @param {Object} reminder - { id, event, minutes, label, message, enabled }
+ * @returns {string}
+ */
+function renderReminderRow(reminder) {
+    return `
+        <li class="reminder-row" data-event="${reminder.event}" data-id="${reminder.id || ''}">
+            <input type="checkbox" class="reminder-enabled" ${reminder.enabled ? 'checked' : ''} title="Enabled" aria-label="Enabled">
+            <input type="number" class="reminder-minutes" min="0" max="${MAX_REMINDER_MINUTES}" value="${reminder.minutes}" aria-label="Minutes before">
+            <input type="text" class="reminder-label" maxlength="40" value="${escapeHtml(reminder.label)}" placeholder="${ALARM_EVENTS[reminder.event]} Reminder" aria-label="Label">
+            <select class="reminder-sound" aria-label="Sound">
+                ${Object.entries(ALARM_SOUNDS).map(([key, label]) => 
+                    `<option value="${key}" ${key === (reminder.sound || 'chime') ? 'selected' : ''}>${label}</option>`
+                ).join('')}
+            </select>
+            <button type="button" class="btn-icon btn-danger" onclick="removeReminderRow(this)" title="Remove">✕</button>
+            <input type="text" class="reminder-message" maxlength="120" value="${escapeHtml(reminder.message)}" 
+                placeholder="${getDefaultReminderMessage(reminder.event, reminder.minutes)}" aria-label="Message">
+            <button type="button" class="btn-icon" onclick="previewReminderSound(this)" title="Play sound">▶</button>
+        </li>
+    `;
+}
+
+/**
+ * Add an empty reminder row for an event
+ * @param {string} event - Key of ALARM_EVENTS
+ */
+function addReminderRow(event) {
+    const list = document.getElementById(`reminders-${event}`);
+    
+    if (list.children.length >= MAX_REMINDERS_PER_EVENT) {
+        showToast(`Up to ${MAX_REMINDERS_PER_EVENT} reminders per event`, 'warning');
+        return;
+    }
+    
+    list.insertAdjacentHTML('beforeend', renderReminderRow({ event, minutes: 0, label: '', message: '', sound: 'chime', enabled: true }));
+}
+
+/**
+ * Play a few seconds of a reminder's chosen sound at the chosen volume
+ * @param {HTMLElement} button - The row's play button
+ */
+function previewReminderSound(button) {
+    const sound = button.closest('.reminder-row').querySelector('.reminder-sound').value;
+    
+    if (sound === 'none') {
+        showToast('This reminder rings silently', 'info');
+        return;
+    }
+    previewAlarmSound(sound, parseInt(document.getElementById('alarm-volume').value, 10));
+}
+
+/**
+ * Remove a reminder row
+ * @param {HTMLElement} button - The row's remove button
+ */
+function removeReminderRow(button) {
+    button.closest('.reminder-row').remove();
+}
+
+/**
+ * Build the Settings row for one quiet period
+ * @param {Object} period - { start, end, weekdays }
+ * @returns {string}
+ */
+function renderQuietPeriodRow(period) {
+    return `
+        <li class="quiet-period-row">
+            <input type="time" class="quiet-start" value="${period.start}" aria-label="From">
+            <span>–</span>
+            <input type="time" class="quiet-end" value="${period.end}" aria-label="Until">
+            <span class="quiet-weekdays">
+                ${WEEKDAY_NAMES.map((name, weekday) => `
+                    <label title="${name}">
+                        <input type="checkbox" class="quiet-weekday" value="${weekday}" ${period.weekdays.includes(weekday) ? 'checked' : ''}>
+                        ${name.slice(0, 2)}
+                    </label>
+                `).join('')}
+            </span>
+            <button type="button" class="btn-icon btn-danger" onclick="removeQuietPeriodRow(this)" title="Remove">✕</button>
+        </li>
+    `;
+}
+
+/**
+ * Add a quiet period row to Settings, overnight by default
+ */
+function addQuietPeriodRow() {
+    const list = document.getElementById('quiet-periods');
+    
+    if (list.children.length >= MAX_QUIET_PERIODS) {
+        showToast(`Up to ${MAX_QUIET_PERIODS} quiet periods`, 'warning');
+        return;
+    }
+    
+    list.insertAdjacentHTML('beforeend', renderQuietPeriodRow({ start: '23:00', end: '03:00', weekdays: [] }));
+}
+
+/**
+ * Remove a quiet period row from Settings (saved with Save Settings)
+ * @param {HTMLElement} button - The row's remove button
+ */
+function removeQuietPeriodRow(button) {
+    button.closest('.quiet-period-row').remove();
+}
+
+/**
+ * Read the quiet period rows from Settings
+ * @returns {Array<Object>}
+ */
+function readQuietPeriodForm() {
+    return Array.from(document.querySelectorAll('.quiet-period-row')).map(row => ({
+        start: row.querySelector('.quiet-start').value,
+        end: row.querySelector('.quiet-end').value,
+        weekdays: Array.from(row.querySelectorAll('.quiet-weekday:checked')).map(input => Number(input.value))
+    }));
+}
+
+/**
+ * Read the reminder rows from Settings
+ * @returns {Array<Object>}
+ */
+function readReminderForm() {
+    return Array.from(document.querySelectorAll('.reminder-row')).map(row => ({
+        id: row.dataset.id || undefined,
+        event: row.dataset.event,
+        minutes: row.querySelector('.reminder-minutes').value,
+        label: row.querySelector('.reminder-label').value,
+        message: row.querySelector('.reminder-message').value,
+        sound: row.querySelector('.reminder-sound').value,
+        enabled: row.querySelector('.reminder-enabled').checked
+    }));
+}
+
+/**
+ * Show the planned alarm queue in Settings
+ */
+async function renderAlarmQueue() {
+    const container = document.getElementById('alarm-queue');
+    if (!container) return;
+    
+    const settings = await ramadanDB.getAlarmSettings();
+    const stored = await ramadanDB.getNextAlarmData();
+    const now = new Date();
+    const upcoming = (stored?.alarms || []).filter(alarm => new Date(alarm.time) > now);
+    
+    // Which mechanism delivers the alarms, and what that means when the app is closed
+    const mechanism = settings.enabled && ALARM_MECHANISMS[stored?.mechanism];
+    document.getElementById('alarm-mechanism').innerHTML = mechanism ? `
+        <p class="alarm-mechanism ${stored.mechanism}">
+            <strong>Delivered by: ${mechanism.label}</strong>
+            <span>${mechanism.hint}</span>
+        </p>
+    ` : '';
+    
+    if (!settings.enabled) {
+        container.innerHTML = '<p class="history-empty">Alarms are disabled.</p>';
+        return;
+    }
+    if (upcoming.length === 0) {
+        container.innerHTML = '<p class="history-empty">No upcoming alarms in the active calendar.</p>';
+        return;
+    }
+    
+    const timezone = stored.timezone;
+    const foreign = isForeignTimezone(timezone, now);
+    
+    container.innerHTML = `
+        <ul class="alarm-queue">
+            ${upcoming.map(alarm => {
+                const time = new Date(alarm.time);
+                const minutesLeft = Math.round((time - now) / 60000);
+                const inText = minutesLeft >= 60 ? `${Math.floor(minutesLeft / 60)}h ${minutesLeft % 60}m` : `${minutesLeft}m`;
+                return `
+                    <li>
+                        <strong>${escapeHtml(alarm.title || ALARM_EVENTS[alarm.type])}</strong> ${alarm.date}
+                        at ${formatZonedTime(time, timezone)}${foreign ? ` (${formatZonedTime(time)} your time)` : ''}
+                        <span class="alarm-queue-in">in ${inText}</span>
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
+}
+
+// The Settings log view lists this many entries; exports have them all
+const ALARM_LOG_SHOWN = 100;
+
+/**
+ * Describe how far from its planned time an alarm fired
+ * @param {Object} entry - Alarm log entry
+ * @returns {string} - e.g. "on time" or "3 min late"
+ */
+function describeAlarmDelay(entry) {
+    const minutes = Math.round((new Date(entry.actualTime) - new Date(entry.plannedTime)) / 60000);
+    if (minutes === 0) return 'on time';
+    return minutes > 0 ? `${minutes} min late` : `${-minutes} min early`;
+}
+
+/**
+ * Show the alarm log in Settings, newest first, with the chosen filters
+ */
+async function renderAlarmLog() {
+    const container = document.getElementById('alarm-log');
+    if (!container) return;
+    
+    const event = document.getElementById('alarm-log-event').value;
+    const type = document.getElementById('alarm-log-type').value;
+    
+    try {
+        const log = await ramadanDB.getAlarmLog();
+        const entries = log.filter(entry => 
+            (!event || entry.event === event) && (!type || entry.alarmType === type)
+        );
+        
+        if (entries.length === 0) {
+            container.innerHTML = `<p class="history-empty">${log.length ? 'No entries match these filters.' : 'Nothing logged yet.'}</p>`;
+            return;
+        }
+        
+        const shown = entries.slice(0, ALARM_LOG_SHOWN);
+        container.innerHTML = `
+            <ul class="alarm-log">
+                ${shown.map(entry => `
+                    <li class="alarm-log-entry ${entry.event}">
+                        <div class="alarm-log-header">
+                            <span class="alarm-log-event">${ALARM_LOG_EVENTS[entry.event]}</span>
+                            <strong>${escapeHtml(entry.title || ALARM_EVENTS[entry.alarmType] || entry.alarmId)}</strong>
+                            <span class="alarm-queue-in">${new Date(entry.loggedAt).toLocaleString()}</span>
+                        </div>
+                        <div class="alarm-log-details">
+                            Planned ${new Date(entry.plannedTime).toLocaleString()}
+                            ${entry.actualTime ? ` • Actual ${new Date(entry.actualTime).toLocaleTimeString()}` : ''}
+                            ${entry.event === 'fired' && entry.actualTime ? ` (${describeAlarmDelay(entry)})` : ''}
+                            ${entry.delivery ? ` • ${ALARM_DELIVERY_PATHS[entry.delivery]}` : ''}
+                            ${ALARM_MECHANISMS[entry.mechanism] ? ` • ${ALARM_MECHANISMS[entry.mechanism].label}` : ''}
+                            • Permission: ${entry.permission}
+                            • ${entry.context === 'service-worker' ? 'Service worker' : 'Page'}
+                        </div>
+                        ${entry.note ? `<div class="alarm-log-note">${escapeHtml(entry.note)}</div>` : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            ${entries.length > shown.length ? `
+                <p class="history-empty">Showing the latest ${shown.length} of ${entries.length} entries. Export the log to see them all.</p>
+            ` : ''}
+        `;
+    } catch (error) {
+        container.innerHTML = '<p class="error-text">Failed to load the alarm log</p>';
+    }
+}
+
+/**
+ * Delete every alarm log entry
+ */
+async function clearAlarmLogEntries() {
+    if (!confirm('Clear the alarm log? Export it first if you are reporting a problem.')) return;
+    
+    try {
+        await ramadanDB.clearAlarmLog();
+        showToast('Alarm log cleared', 'success');
+    } catch (error) {
+        showToast('Failed to clear the alarm log', 'error');
+    }
+}
+
 /**
  * Save settings
  */
 async function saveSettings() {
     const enabled = document.getElementById('alarm-enabled').checked;
-    const saharMinutes = parseInt(document.getElementById('sahar-minutes').value) || 15;
-    const iftarMinutes = parseInt(document.getElementById('iftar-minutes').value) || 15;
     
-    const settings = {
+    await ramadanDB.saveAlarmSettings({
         enabled,
-        saharMinutes: Math.max(1, Math.min(60, saharMinutes)),
-        iftarMinutes: Math.max(1, Math.min(60, iftarMinutes))
-    };
+        reminders: readReminderForm(),
+        volume: document.getElementById('alarm-volume').value,
+        crescendoSeconds: document.getElementById('alarm-crescendo').value,
+        snoozeMinutes: document.getElementById('alarm-snooze').value,
+        taraweehOffset: document.getElementById('taraweeh-offset').value,
+        quietPeriods: readQuietPeriodForm(),
+        pausedUntil: document.getElementById('alarm-paused-until').value
+    });
     
-    localStorage.setItem('alarmSettings', JSON.stringify(settings));
+    await ramadanDB.saveHijriSettings({
+        method: document.getElementById('hijri-method').value,
+        adjustment: document.getElementById('hijri-adjustment').value
+    });
     
-    if (enabled) {
-        // Request notification permission
-        if ('Notification' in window) {
-            const permission = await Notification.requestPermission();
-            if (permission !== 'granted') {
-                showToast('Notification permission required for alarms', 'error');
-                return;
-            }
-        }
-        
-        // Schedule alarms
-        if (typeof scheduleAlarms === 'function') {
-            scheduleAlarms();
+    await ramadanDB.saveIftarModeSettings({
+        enabled: document.getElementById('iftar-mode-enabled').checked,
+        minutes: document.getElementById('iftar-mode-minutes').value,
+        events: Array.from(document.querySelectorAll('.iftar-mode-event:checked')).map(input => input.value)
+    });
+    
+    await ramadanDB.setTrashRetentionDays(document.getElementById('trash-retention').value);
+    
+    // Saving alarm settings re-plans the queue (see initAlarmSystem)
+    if (enabled && 'Notification' in window) {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            showToast('Notification permission required for alarms', 'error');
+            return;
         }
     }
     
@@ -769,13 +2160,21 @@ async function saveSettings() {
  * Clear all data
  */
 async function clearAllData() {
-    if (!confirm('WARNING: This will delete ALL calendars and settings. This cannot be undone. Continue?')) return;
-    if (!confirm('Are you absolutely sure? All your data will be lost.')) return;
+    if (!confirm('WARNING: This will move ALL calendars to the Trash and reset your settings. The alarm log is emptied; your Qada ledger is kept. Continue?')) return;
     
     try {
-        await ramadanDB.clearAll();
-        localStorage.removeItem('alarmSettings');
-        showToast('All data cleared', 'success');
+        const batch = await ramadanDB.clearAll();
+        showToast('All data cleared', 'success', {
+            actionLabel: 'Undo',
+            onAction: async () => {
+                await ramadanDB.undoClearAll(batch);
+                showToast('Data restored', 'success');
+                await renderSettingsScreen();
+                refreshCalendarsList();
+                updateHomeScreen();
+            }
+        });
+        await renderSettingsScreen();
         showScreen('home');
         updateHomeScreen();
     } catch (error) {
@@ -794,30 +2193,91 @@ function renderImportExportScreen() {
             
             <div class="section">
                 <h3>Export Calendars</h3>
-                <p>Download your calendars as JSON files to share or backup.</p>
+                <p>Download your calendars as JSON files to share or backup, or the active calendar as CSV for a spreadsheet.</p>
                 
                 <div class="button-group">
                     <button class="btn-primary" onclick="exportActiveCalendar()">Export Active Calendar</button>
+                    <button class="btn-secondary" onclick="exportActiveCalendarCsv()">Export Active Calendar (CSV)</button>
                     <button class="btn-secondary" onclick="exportAllCalendars()">Export All Calendars</button>
                 </div>
             </div>
             
+            <div class="section">
+                <h3>Add to Phone Calendar</h3>
+                <p>Export the active calendar as an .ics file for Google, Apple or Outlook Calendar. Importing it again after a change updates the events instead of adding them twice.</p>
+                
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="ics-style">Events</label>
+                        <select id="ics-style">
+                            ${Object.entries(ICS_EVENT_STYLES).map(([style, label]) => 
+                                `<option value="${style}">${label}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label class="prayer-columns-toggle">
+                            <input type="checkbox" id="ics-reminders" checked>
+                            Add my Sahar and Iftar reminders
+                        </label>
+                    </div>
+                </div>
+                
+                <div class="button-group">
+                    <button class="btn-primary" onclick="exportActiveCalendarIcs()">Download .ics</button>
+                    <button class="btn-secondary" onclick="shareCalendarIcs()">Share .ics</button>
+                </div>
+            </div>
+            
             <div class="section">
                 <h3>Import Calendars</h3>
-                <p>Import calendars from JSON files.</p>
+                <p>Import calendars from JSON files, a CSV/TSV timetable from a spreadsheet, or a timetable pasted as text.</p>
                 
                 <div class="file-input-wrapper">
-                    <input type="file" id="import-file" accept=".json" hidden>
+                    <input type="file" id="import-file" accept=".json,.csv,.tsv,.txt,text/csv,text/tab-separated-values" hidden>
                     <label for="import-file" class="btn-primary">Choose File</label>
                     <span id="file-name">No file selected</span>
                 </div>
                 
+                <details class="generator-panel text-import">
+                    <summary>Import from text</summary>
+                    <p class="generator-hint">Paste a timetable copied from WhatsApp, an email or a web page, one day per line, e.g. "1 Mar 5:12 6:03pm". Two times on a line are read as Sahar and Iftar; for more, keep the line naming the columns. Iftar times without AM/PM are read as afternoon times.</p>
+                    
+                    <div class="form-group">
+                        <label for="text-import-input">Timetable</label>
+                        <textarea id="text-import-input" rows="8" placeholder="1 Mar  5:12  6:03pm&#10;2 Mar  5:10  6:05pm"></textarea>
+                    </div>
+                    
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="text-import-name">Calendar name</label>
+                            <input type="text" id="text-import-name" value="Pasted timetable">
+                        </div>
+                        <div class="form-group">
+                            <label for="text-import-first-day">1 Ramadan (for lines numbering the days)</label>
+                            <input type="date" id="text-import-first-day">
+                        </div>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="text-import-timezone">Timezone</label>
+                        <input type="text" id="text-import-timezone" value="${escapeHtml(getDeviceTimezone())}">
+                    </div>
+                    
+                    <button class="btn-primary" onclick="readPastedTimetable()">Read Timetable</button>
+                </details>
+                
+                <div id="csv-mapping" class="import-preview hidden"></div>
+                
                 <div id="import-preview" class="import-preview hidden">
                     <h4>Preview</h4>
                     <div id="preview-content"></div>
                     <button class="btn-primary" onclick="confirmImport()">Import Calendar</button>
                     <button class="btn-secondary" onclick="cancelImport()">Cancel</button>
                 </div>
+                
+                <div id="import-conflicts" class="import-preview hidden"></div>
             </div>
             
             <div class="section info">
@@ -834,29 +2294,46 @@ function renderImportExportScreen() {
     if (fileInput) {
         fileInput.addEventListener('change', handleFileSelect);
     }
+    
+    prefillTextImportFirstDay();
 }
 
 /**
  * Show toast notification
  * @param {string} message - Message to display
  * @param {string} type - Type: 'success', 'error', 'info'
+ * @param {Object} options - Optional { actionLabel, onAction, duration } to add a button (e.g. Undo)
  */
-function showToast(message, type = 'info') {
+function showToast(message, type = 'info', options = {}) {
     const container = document.getElementById('toast-container');
     const toast = document.createElement('div');
     toast.className = `toast ${type}`;
     toast.textContent = message;
     
+    const hide = () => {
+        toast.classList.remove('show');
+        setTimeout(() => toast.remove(), 300);
+    };
+    
+    if (options.actionLabel && options.onAction) {
+        const action = document.createElement('button');
+        action.className = 'toast-action';
+        action.textContent = options.actionLabel;
+        action.onclick = () => {
+            hide();
+            options.onAction();
+        };
+        toast.appendChild(action);
+    }
+    
     container.appendChild(toast);
     
     setTimeout(() => {
         toast.classList.add('show');
     }, 10);
     
-    setTimeout(() => {
-        toast.classList.remove('show');
-        setTimeout(() => toast.remove(), 300);
-    }, 3000);
+    // Give the user longer to reach an action button
+    setTimeout(hide, options.duration || (options.onAction ? 8000 : 3000));
 }
 
 /**
@@ -867,7 +2344,8 @@ function showToast(message, type = 'info') {
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // Quotes too, so the result is safe inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;');
 }
 
 /**
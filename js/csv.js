@@ -0,0 +1,495 @@
+/**
+ * RamadanReady - CSV/TSV Timetables
+ * Reads spreadsheet timetables (delimiter detection, 12-hour times, common
+ * date formats) and timetables pasted as text, and writes rows back out as CSV
+ */
+
+// Delimiters tried when reading a timetable, in order of preference
+const CSV_DELIMITERS = [',', '\t', ';', '|'];
+
+// Date formats a timetable column can be read as; numeric dates without a year use the calendar's
+const CSV_DATE_FORMATS = {
+    auto: 'Detect',
+    ymd: 'YYYY-MM-DD',
+    dmy: 'DD/MM/YYYY',
+    mdy: 'MM/DD/YYYY',
+    text: '1 March 2026'
+};
+
+// Times without AM/PM written with a one-digit hour below these are read as PM ("6:45" Iftar
+// is 18:45, but a "1:15" Dhuhr is 13:15 and a "11:58" Dhuhr stays 11:58); Fajr is never moved
+const CSV_AFTERNOON_BEFORE = {
+    iftar: 12,
+    dhuhr: 3,
+    asr: 12,
+    maghrib: 12,
+    isha: 12
+};
+
+// Header names that identify a column, for the first guess at the mapping
+const CSV_COLUMN_PATTERNS = {
+    date: /date|day/i,
+    sahar: /sahar|sehri|sehr|suhoor|suhur|imsak/i,
+    iftar: /iftar|iftaar/i,
+    fajr: /fajr/i,
+    dhuhr: /dhuhr|zuhr|zohr/i,
+    asr: /asr/i,
+    maghrib: /maghrib/i,
+    isha: /isha/i
+};
+
+// Month name prefixes for dates like "18 Feb 2026"
+const CSV_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Split delimited text into rows of cells. Handles quoted cells (with
+ * doubled quotes and line breaks inside) and drops blank rows.
+ * @param {string} text - File content
+ * @param {string} delimiter - Cell delimiter
+ * @returns {Array<Array<string>>}
+ */
+function parseDelimitedRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(cell.trim());
+        if (row.some(value => value !== '')) rows.push(row);
+        row = [];
+        cell = '';
+    };
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            cell += char;
+        }
+    }
+    endRow();
+
+    return rows;
+}
+
+/**
+ * Pick the delimiter that splits the first lines into the same number of cells
+ * @param {string} text - File content
+ * @returns {string}
+ */
+function detectDelimiter(text) {
+    const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 10).join('\n');
+    let best = CSV_DELIMITERS[0];
+    let bestScore = 0;
+
+    CSV_DELIMITERS.forEach(delimiter => {
+        const counts = parseDelimitedRows(sample, delimiter).map(row => row.length);
+        const score = counts[0] > 1 ? counts.filter(count => count === counts[0]).length * counts[0] : 0;
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Read a CSV/TSV file into rows, detecting the delimiter
+ * @param {string} text - File content
+ * @returns {Object} - { delimiter, rows }
+ */
+function parseDelimited(text) {
+    const delimiter = detectDelimiter(text);
+    return { delimiter, rows: parseDelimitedRows(text, delimiter) };
+}
+
+/**
+ * Write rows as delimited text, quoting cells that need it
+ * @param {Array<Array>} rows
+ * @param {string} delimiter - Defaults to a comma
+ * @returns {string}
+ */
+function formatDelimited(rows, delimiter = ',') {
+    return rows.map(row => row.map(value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Read a timetable time: 24-hour "17:05", 12-hour "5:05 PM", "5.05pm", with optional seconds
+ * @param {string} value - Cell value
+ * @param {Object} options - { afternoonBefore: one-digit hours without AM/PM below this are PM (see CSV_AFTERNOON_BEFORE) }
+ * @returns {string|null} - HH:MM, or null when unreadable
+ */
+function parseTimeValue(value, options = {}) {
+    const match = /^(\d{1,2})[:.h](\d{2})(?:[:.]\d{2})?\s*(?:([ap])\.?\s*m\.?)?$/i.exec(String(value || '').trim());
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const meridiem = match[3] && match[3].toLowerCase();
+    if (minutes > 59) return null;
+
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        hours = hours % 12 + (meridiem === 'p' ? 12 : 0);
+    } else if (hours > 23) {
+        return null;
+    } else if (match[1].length === 1 && hours >= 1 && hours < (options.afternoonBefore || 0)) {
+        hours += 12;
+    }
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Build an ISO date from its parts, rejecting dates that don't exist
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {string|null} - YYYY-MM-DD
+ */
+function buildIsoDate(year, month, day) {
+    if (year < 100) year += 2000;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Read a timetable date in one format
+ * @param {string} value - Cell value, e.g. "2026-02-18", "18/02/2026", "Wed 18 Feb", "February 18, 2026"
+ * @param {string} format - Key of CSV_DATE_FORMATS other than 'auto'
+ * @param {number} year - Year for dates written without one
+ * @returns {string|null} - YYYY-MM-DD, or null when unreadable
+ */
+function parseDateValue(value, format, year) {
+    const text = String(value || '').trim();
+    let match;
+
+    if (format === 'ymd') {
+        match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(text);
+        return match && buildIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+
+    if (format === 'dmy' || format === 'mdy') {
+        match = /^(\d{1,2})[-/.](\d{1,2})(?:[-/.](\d{4}|\d{2}))?$/.exec(text);
+        if (!match) return null;
+        const [first, second] = [Number(match[1]), Number(match[2])];
+        const dateYear = match[3] ? Number(match[3]) : year;
+        return format === 'dmy' ? buildIsoDate(dateYear, second, first) : buildIsoDate(dateYear, first, second);
+    }
+
+    if (format === 'text') {
+        // Drop a leading weekday ("Wed", "Wednesday,")
+        const date = text.replace(/^[a-z]+day,?\s+|^(mon|tue|wed|thu|fri|sat|sun)\.?,?\s+/i, '');
+        match = /^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3,})\.?,?(?:[\s-]+(\d{4}|\d{2}))?$/i.exec(date);
+        const dayFirst = Boolean(match);
+        match = match || /^([a-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?(?:\s+(\d{4}))?$/i.exec(date);
+        if (!match) return null;
+
+        const [day, monthName] = dayFirst ? [match[1], match[2]] : [match[2], match[1]];
+        const month = CSV_MONTHS.indexOf(monthName.slice(0, 3).toLowerCase()) + 1;
+        if (month === 0) return null;
+        return buildIsoDate(match[3] ? Number(match[3]) : year, month, Number(day));
+    }
+
+    return null;
+}
+
+/**
+ * Find the first date format that reads every value. Ambiguous numeric dates
+ * (every day 12 or under) are read day first.
+ * @param {Array<string>} values - Cells of the date column
+ * @param {number} year - Year for dates written without one
+ * @returns {string|null} - Key of CSV_DATE_FORMATS, or null when none fits
+ */
+function detectDateFormat(values, year) {
+    const filled = values.filter(value => String(value || '').trim());
+    if (filled.length === 0) return null;
+
+    return ['ymd', 'dmy', 'mdy', 'text'].find(format =>
+        filled.every(value => parseDateValue(value, format, year))
+    ) || null;
+}
+
+/**
+ * Guess which columns hold what, from the header names and then the cell contents
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @param {number} year - Year for dates written without one
+ * @returns {Object} - { header: boolean, date, sahar, iftar, prayers: { fajr, ... } } as column
+ *                     indexes (-1 = none)
+ */
+function guessCsvMapping(rows, year) {
+    const first = rows[0] || [];
+    const header = first.every(value => !parseTimeValue(value));
+    const body = header ? rows.slice(1) : rows;
+    const columns = first.map((value, index) => ({
+        name: header ? value : '',
+        values: body.map(row => row[index] || '')
+    }));
+
+    const byName = (pattern) => columns.findIndex(column => pattern.test(column.name));
+    const isDateColumn = (column) => Boolean(detectDateFormat(column.values, year));
+    const timeColumns = columns
+        .map((column, index) => column.values.every(value => !value || parseTimeValue(value)) ? index : -1)
+        .filter(index => index >= 0);
+
+    const namedDate = byName(CSV_COLUMN_PATTERNS.date);
+    const prayers = {};
+    Object.keys(PRAYER_NAMES).forEach(prayer => {
+        prayers[prayer] = byName(CSV_COLUMN_PATTERNS[prayer]);
+    });
+
+    // Timetables without Sahar/Iftar columns end Sahar at Fajr and start Iftar at Maghrib
+    const pick = (...indexes) => indexes.find(index => index >= 0) ?? -1;
+    return {
+        header,
+        date: namedDate >= 0 && isDateColumn(columns[namedDate]) ? namedDate : columns.findIndex(isDateColumn),
+        sahar: pick(byName(CSV_COLUMN_PATTERNS.sahar), prayers.fajr, timeColumns[0]),
+        iftar: pick(byName(CSV_COLUMN_PATTERNS.iftar), prayers.maghrib, timeColumns.length > 1 ? timeColumns[timeColumns.length - 1] : -1),
+        prayers
+    };
+}
+
+/**
+ * Turn mapped timetable rows into calendar days
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @param {Object} mapping - As from guessCsvMapping
+ * @param {Object} options - { dateFormat: key of CSV_DATE_FORMATS, year }
+ * @returns {Array<Object>} - [{ date, saharTime, iftarTime, prayers? }]
+ * @throws {Error} - Naming the first row and cell that can't be read
+ */
+function buildCsvDays(rows, mapping, options) {
+    if (mapping.date < 0 || mapping.sahar < 0 || mapping.iftar < 0) {
+        throw new Error('Choose the Date, Sahar and Iftar columns');
+    }
+
+    const body = mapping.header ? rows.slice(1) : rows;
+    const format = options.dateFormat === 'auto'
+        ? detectDateFormat(body.map(row => row[mapping.date]), options.year)
+        : options.dateFormat;
+    if (!format) {
+        throw new Error(`The Date column uses a date format that isn't recognized`);
+    }
+
+    return body.map((row, i) => {
+        const rowNumber = i + (mapping.header ? 2 : 1);
+        const cell = (index) => row[index] || '';
+        const read = (value, label, parse) => {
+            const result = parse(value);
+            if (!result) throw new Error(`Row ${rowNumber}: can't read ${label} "${value}"`);
+            return result;
+        };
+
+        const day = {
+            date: read(cell(mapping.date), 'date', value => parseDateValue(value, format, options.year)),
+            saharTime: read(cell(mapping.sahar), 'Sahar time', value => parseTimeValue(value)),
+            iftarTime: read(cell(mapping.iftar), 'Iftar time', value => parseTimeValue(value, { afternoonBefore: CSV_AFTERNOON_BEFORE.iftar }))
+        };
+
+        const prayers = {};
+        Object.entries(mapping.prayers || {}).forEach(([prayer, index]) => {
+            if (index < 0 || !cell(index)) return;
+            prayers[prayer] = read(cell(index), `${PRAYER_NAMES[prayer]} time`, value =>
+                parseTimeValue(value, { afternoonBefore: CSV_AFTERNOON_BEFORE[prayer] })
+            );
+        });
+        if (Object.keys(prayers).length > 0) day.prayers = prayers;
+
+        return day;
+    });
+}
+
+// Month names accepted in pasted text, whole or abbreviated ("Mar", "March", "Sept")
+const TEXT_MONTH_PATTERN = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+
+// Time columns a pasted header line can name, checked in this order for each header cell
+const TEXT_TIME_COLUMNS = {
+    sahar: CSV_COLUMN_PATTERNS.sahar,
+    iftar: CSV_COLUMN_PATTERNS.iftar,
+    fajr: CSV_COLUMN_PATTERNS.fajr,
+    sunrise: /sunrise|shur[ou]q/i,
+    dhuhr: CSV_COLUMN_PATTERNS.dhuhr,
+    asr: CSV_COLUMN_PATTERNS.asr,
+    maghrib: CSV_COLUMN_PATTERNS.maghrib,
+    isha: CSV_COLUMN_PATTERNS.isha
+};
+
+/**
+ * Find the date in a line of pasted text
+ * @param {string} line
+ * @returns {Object|null} - { value to read with parseDateValue, format ('ymd', 'text', or
+ *                          'numeric' until the day/month order is known), match }
+ */
+function findTextDate(line) {
+    let match = /(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(line);
+    if (match) return { value: `${match[1]}-${match[2]}-${match[3]}`, format: 'ymd', match: match[0] };
+
+    match = new RegExp(`(^|[^\\d:.])(\\d{1,2})(?:st|nd|rd|th)?[\\s-]*(${TEXT_MONTH_PATTERN})\\b\\.?(?:,?\\s*(\\d{4}))?`, 'i').exec(line);
+    if (match) return { value: `${match[2]} ${match[3]} ${match[4] || ''}`.trim(), format: 'text', match: match[0] };
+
+    match = new RegExp(`(^|[^a-z])(${TEXT_MONTH_PATTERN})\\b\\.?\\s*(\\d{1,2})(?:st|nd|rd|th)?(?![\\d:.])(?:,?\\s*(\\d{4}))?`, 'i').exec(line);
+    if (match) return { value: `${match[3]} ${match[2]} ${match[4] || ''}`.trim(), format: 'text', match: match[0] };
+
+    // Numeric dates need "/" or "-", or three dotted parts, so "5.12" stays a time
+    match = /(^|[^\d:.])(\d{1,2})([/-])(\d{1,2})(?:\3(\d{4}|\d{2}))?(?![\d:.])/.exec(line) ||
+        /(^|[^\d:.])(\d{1,2})(\.)(\d{1,2})\.(\d{4}|\d{2})(?![\d:.])/.exec(line);
+    if (match) return { value: `${match[2]}/${match[4]}${match[5] ? `/${match[5]}` : ''}`, format: 'numeric', match: match[0] };
+
+    return null;
+}
+
+/**
+ * Find the times in a line of pasted text, in the order they appear
+ * @param {string} line - Line with its date taken out
+ * @returns {Array<string>} - Times as written, e.g. ["5:12", "6:03 pm"]
+ */
+function findTextTimes(line) {
+    const pattern = /(^|\D)(\d{1,2})[:.h](\d{2})(?:[:.]\d{2})?(?!\d)(?:\s*([ap])\.?\s?m\b\.?)?/gi;
+    const times = [];
+    let match;
+
+    while ((match = pattern.exec(line))) {
+        times.push(`${match[2]}:${match[3]}${match[4] ? ` ${match[4]}m` : ''}`);
+    }
+
+    return times;
+}
+
+/**
+ * Read the time columns a header line names, e.g. "Date | Sehri | Fajr | Iftar"
+ * @param {string} line
+ * @returns {Array<string>} - Keys of TEXT_TIME_COLUMNS in column order; empty when the line isn't a header
+ */
+function readTextHeader(line) {
+    let cells = line.split(/\s*[|,;\t]\s*|\s{2,}/).filter(Boolean);
+    if (cells.length < 2) cells = line.split(/\s+/);
+
+    const columns = cells
+        .map(cell => Object.keys(TEXT_TIME_COLUMNS).find(column => TEXT_TIME_COLUMNS[column].test(cell)))
+        .filter(Boolean);
+
+    return columns.some(column => ['sahar', 'iftar', 'fajr', 'maghrib'].includes(column)) ? columns : [];
+}
+
+/**
+ * Read a timetable pasted as text (WhatsApp messages, copied web tables), one day
+ * per line: "1 Mar  5:12  6:03pm", "Sat 01/03 | 05:12 | 18:03", "Day 1 - 5.12am - 6.03pm".
+ * Lines with two times are read as Sahar then Iftar; with more, a header line naming
+ * the columns is needed. Lines giving only the day of Ramadan count from the first day.
+ * Lines with neither times nor a date (titles, greetings) are skipped.
+ * @param {string} text - Pasted text
+ * @param {Object} options - { year: for dates written without one, firstDay: YYYY-MM-DD of 1 Ramadan }
+ * @returns {Object} - { days: [{ date, saharTime, iftarTime }] by date,
+ *                       problems: [{ line: line number, text, reason }] }
+ */
+function parseTimetableText(text, options = {}) {
+    const problems = [];
+    let header = [];
+
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map((raw, i) => {
+        // WhatsApp formatting marks and non-breaking spaces
+        const line = raw.replace(/[*_~]/g, ' ').replace(/[\u00a0\u2007\u202f]/g, ' ').trim();
+        const date = findTextDate(line);
+        const rest = date ? line.replace(date.match, ' ') : line;
+        const times = findTextTimes(rest);
+        const dayNumber = /(?:^|\D)(\d{1,2})(?!\d)/.exec(rest.replace(/(^|\D)\d{1,2}[:.h]\d{2}/g, ' '));
+
+        return { number: i + 1, text: raw.trim(), line, date, times, dayNumber: dayNumber && Number(dayNumber[1]) };
+    });
+
+    // Day and month order is decided once for the whole paste, day first when ambiguous
+    const numericFormat = detectDateFormat(
+        lines.filter(entry => entry.date && entry.date.format === 'numeric').map(entry => entry.date.value),
+        options.year
+    ) || 'dmy';
+
+    const days = [];
+    const seen = new Map();
+    lines.forEach(entry => {
+        const problem = (reason) => problems.push({ line: entry.number, text: entry.text, reason });
+
+        if (entry.times.length === 0) {
+            const columns = readTextHeader(entry.line);
+            if (columns.length > 0) {
+                header = columns;
+            } else if (entry.date) {
+                problem('No times found');
+            }
+            return;
+        }
+
+        let sahar;
+        let iftar;
+        if (header.length === entry.times.length) {
+            const at = (...columns) => entry.times[header.indexOf(columns.find(column => header.includes(column)))];
+            sahar = at('sahar', 'fajr');
+            iftar = at('iftar', 'maghrib');
+        } else if (entry.times.length === 2) {
+            [sahar, iftar] = entry.times;
+        }
+        if (!sahar || !iftar) {
+            problem(entry.times.length === 1
+                ? 'Only one time found'
+                : `Found ${entry.times.length} times; add a line naming the columns above it, e.g. "Date Sehri Fajr Iftar"`);
+            return;
+        }
+
+        let date = null;
+        if (entry.date) {
+            date = parseDateValue(entry.date.value, entry.date.format === 'numeric' ? numericFormat : entry.date.format, options.year);
+            if (!date) {
+                problem(`Can't read the date "${entry.date.match.trim()}"`);
+                return;
+            }
+        } else if (entry.dayNumber >= 1 && entry.dayNumber <= 30 && options.firstDay) {
+            date = addDaysToIsoDate(options.firstDay, entry.dayNumber - 1);
+        } else {
+            problem('No date or day of Ramadan found');
+            return;
+        }
+
+        const day = {
+            date,
+            saharTime: parseTimeValue(sahar),
+            iftarTime: parseTimeValue(iftar, { afternoonBefore: CSV_AFTERNOON_BEFORE.iftar })
+        };
+        if (!day.saharTime || !day.iftarTime) {
+            problem(`Can't read the time "${day.saharTime ? iftar : sahar}"`);
+        } else if (day.saharTime >= day.iftarTime) {
+            problem(`Sahar (${day.saharTime}) isn't before Iftar (${day.iftarTime})`);
+        } else if (seen.has(date)) {
+            problem(`Same date as line ${seen.get(date)}`);
+        } else {
+            seen.set(date, entry.number);
+            days.push(day);
+        }
+    });
+
+    days.sort((a, b) => a.date.localeCompare(b.date));
+    return { days, problems };
+}
@@ -1,247 +1,2300 @@
 /**
  * RamadanReady - IndexedDB Data Layer
- * Handles all calendar storage and retrieval operations
+ * Handles all calendar and settings storage and retrieval operations.
+ * Loaded by both the page and the service worker.
  */
 
-class RamadanDB {
+// Default values for every key in the settings store
+const SETTING_DEFAULTS = {
+    alarmSettings: {
+        enabled: false,
+        reminders: [
+            { id: 'sahar-15', event: 'sahar', minutes: 15, label: '', message: '', sound: 'chime', enabled: true },
+            { id: 'iftar-15', event: 'iftar', minutes: 15, label: '', message: '', sound: 'chime', enabled: true }
+        ],
+        volume: 80,
+        crescendoSeconds: 30,
+        snoozeMinutes: 5,
+        taraweehOffset: 20,
+        quietPeriods: [],
+        pausedUntil: null
+    },
+    hijriSettings: {
+        method: 'umalqura',
+        adjustment: 0
+    },
+    iftarModeSettings: {
+        enabled: true,
+        minutes: 10,
+        events: ['sahar', 'iftar']
+    },
+    printSettings: {
+        paperSize: 'a4',
+        footer: ''
+    },
+    activeCalendarId: null,
+    nextAlarmData: null,
+    missedAlarms: [],
+    trashRetentionDays: 30,
+    clearedSettings: null,
+    qadaSettings: {
+        fidyaRate: 0,
+        currency: ''
+    }
+};
+
+// How many days of reminders are planned ahead
+const ALARM_QUEUE_DAYS = 3;
+
+// The five daily prayers a calendar day can carry times for (day.prayers)
+const PRAYER_NAMES = {
+    fajr: 'Fajr',
+    dhuhr: 'Dhuhr',
+    asr: 'Asr',
+    maghrib: 'Maghrib',
+    isha: 'Isha'
+};
+
+// Events a reminder can be attached to. Taraweeh is offset from Isha and
+// Tahajjud starts the last third of the night between Iftar and the next Sahar.
+const ALARM_EVENTS = {
+    sahar: 'Sahar',
+    iftar: 'Iftar',
+    ...PRAYER_NAMES,
+    taraweeh: 'Taraweeh',
+    tahajjud: 'Tahajjud'
+};
+
+// Reminders are set in minutes before their event (0 = at the event itself)
+const MAX_REMINDER_MINUTES = 180;
+const MAX_REMINDERS_PER_EVENT = 5;
+
+// Most recurring quiet periods, and the largest weekday shift of a calendar's reminders
+const MAX_QUIET_PERIODS = 5;
+const MAX_ALARM_SHIFT_MINUTES = 120;
+
+// Built-in alarm sounds (synthesized in js/alarm-sound.js); 'none' rings the screen silently
+const ALARM_SOUNDS = {
+    chime: 'Chime',
+    bells: 'Bells',
+    beeper: 'Beeper',
+    gentle: 'Gentle',
+    none: 'Silent'
+};
+
+// The full-screen countdown opens at most this many minutes before Sahar or Iftar
+const MAX_IFTAR_MODE_MINUTES = 60;
+
+// Alarms that passed without firing stay in the queue this long, so they can still be shown late
+const MAX_MISSED_ALARM_AGE = 60 * 60 * 1000; // 1 hour in milliseconds
+
+// The catch-up report keeps at most this many missed alarms, dropping the oldest
+const MAX_MISSED_ALARMS = 100;
+
+// Periodic Background Sync tag the service worker uses to catch up on alarms
+const ALARM_SYNC_TAG = 'alarm-catchup';
+
+// Kinds of entry in the alarm delivery log
+const ALARM_LOG_EVENTS = {
+    scheduled: 'Scheduled',
+    fired: 'Fired',
+    snoozed: 'Snoozed',
+    acknowledged: 'Acknowledged',
+    missed: 'Missed'
+};
+
+// How a fired alarm reached the user
+const ALARM_DELIVERY_PATHS = {
+    'service-worker': 'Service worker notification',
+    notification: 'Page notification (new Notification)',
+    trigger: 'Notification Trigger',
+    'in-app': 'In-app only (no notification)'
+};
+
+// The alarm log keeps this many entries, dropping the oldest
+const ALARM_LOG_LIMIT = 1000;
+
+// Settings kept when all data is cleared (the Qada ledger spans years, so its rate stays too)
+const PRESERVED_SETTING_KEYS = ['trashRetentionDays', 'clearedSettings', 'qadaSettings'];
+
+// Fasting log statuses and the reasons accepted for an exempt day
+const FASTING_STATUSES = ['fasted', 'missed', 'exempt'];
+const EXEMPT_REASONS = {
+    travel: 'Travel',
+    illness: 'Illness',
+    menstruation: 'Menstruation',
+    pregnancy: 'Pregnancy / nursing',
+    other: 'Other'
+};
+
+// Qada ledger entry types. Owed fasts come from missed/exempt days in the
+// fasting log (or are added by hand); make-up fasts and fidya settle them.
+const QADA_ENTRY_TYPES = {
+    owed: 'Owed fast',
+    madeup: 'Make-up fast',
+    fidya: 'Fidya paid',
+    kaffarah: 'Kaffarah'
+};
+
+// Kaffarah for a deliberately broken fast: 60 days of fasting or feeding 60 people
+const KAFFARAH_DAYS = 60;
+
+// Settings that lived in LocalStorage before the settings store existed
+const LEGACY_SETTING_KEYS = ['alarmSettings', 'hijriSettings', 'activeCalendarId', 'nextAlarmData'];
+
+/**
+ * Visit every record of a store with a cursor, then call done
+ * @param {IDBObjectStore} store - Store to walk
+ * @param {Function} visit - Called with each cursor
+ * @param {Function} done - Called after the last record
+ */
+function eachRecord(store, visit, done) {
+    store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+            done();
+            return;
+        }
+
+        visit(cursor);
+        cursor.continue();
+    };
+}
+
+/**
+ * Schema migrations, keyed by the version they upgrade to.
+ * Each runs inside the versionchange transaction of onupgradeneeded and
+ * calls done when finished, so the next one sees its changes.
+ */
+const DB_MIGRATIONS = {
+    /**
+     * v1: calendars store
+     */
+    1(db, transaction, done) {
+        const store = db.createObjectStore('calendars', { keyPath: 'id', autoIncrement: true });
+        store.createIndex('name', 'name', { unique: false });
+        store.createIndex('year', 'year', { unique: false });
+        store.createIndex('updatedAt', 'updatedAt', { unique: false });
+        done();
+    },
+
+    /**
+     * v2: convert day dates from DD-MM to YYYY-MM-DD using the calendar year
+     */
+    2(db, transaction, done) {
+        eachRecord(transaction.objectStore('calendars'), (cursor) => {
+            const calendar = cursor.value;
+            calendar.days = normalizeDayDates(calendar.days || [], calendar.year);
+            cursor.update(calendar);
+        }, done);
+    },
+
+    /**
+     * v3: settings store shared by the page and the service worker
+     */
+    3(db, transaction, done) {
+        db.createObjectStore('settings', { keyPath: 'key' });
+        done();
+    },
+
+    /**
+     * v4: revision history, seeded with the current state of every calendar
+     */
+    4(db, transaction, done) {
+        const revisions = db.createObjectStore('revisions', { keyPath: 'id', autoIncrement: true });
+        revisions.createIndex('calendarId', 'calendarId', { unique: false });
+
+        eachRecord(transaction.objectStore('calendars'), (cursor) => {
+            revisions.add(createRevision(cursor.value, 'original', []));
+        }, done);
+    },
+
+    /**
+     * v5: daily fasting log, one entry per calendar day
+     */
+    5(db, transaction, done) {
+        const log = db.createObjectStore('fastingLog', { keyPath: ['calendarId', 'date'] });
+        log.createIndex('calendarId', 'calendarId', { unique: false });
+        done();
+    },
+
+    /**
+     * v6: Qada ledger, seeded with the missed and exempt days already logged
+     */
+    6(db, transaction, done) {
+        const ledger = db.createObjectStore('qadaLedger', { keyPath: 'id', autoIncrement: true });
+        ledger.createIndex('source', 'source', { unique: true });
+        ledger.createIndex('date', 'date', { unique: false });
+
+        eachRecord(transaction.objectStore('fastingLog'), (cursor) => {
+            if (cursor.value.status !== 'fasted') {
+                ledger.add(createOwedFastEntry(cursor.value));
+            }
+        }, done);
+    },
+
+    /**
+     * v7: give every calendar a timezone, assuming it was made for the device's zone
+     */
+    7(db, transaction, done) {
+        const timezone = getDeviceTimezone();
+
+        eachRecord(transaction.objectStore('calendars'), (cursor) => {
+            if (!cursor.value.timezone) {
+                cursor.update({ ...cursor.value, timezone });
+            }
+        }, done);
+    },
+
+    /**
+     * v8: safety margins (ihtiyat) on every calendar, starting at none
+     */
+    8(db, transaction, done) {
+        eachRecord(transaction.objectStore('calendars'), (cursor) => {
+            if (!cursor.value.ihtiyat) {
+                cursor.update({ ...cursor.value, ihtiyat: normalizeIhtiyat() });
+            }
+        }, done);
+    },
+
+    /**
+     * v9: alarm delivery log, oldest first by ID
+     */
+    9(db, transaction, done) {
+        const log = db.createObjectStore('alarmLog', { keyPath: 'id', autoIncrement: true });
+        log.createIndex('alarmId', 'alarmId', { unique: false });
+        done();
+    }
+};
+
+// Weekday names for per-weekday safety margins (0 = Sunday, as Date.getDay)
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Largest safety margin accepted, in minutes
+const MAX_IHTIYAT_MINUTES = 60;
+
+/**
+ * Clean up a calendar's safety margin (ihtiyat) rules.
+ * Sahar minutes move Sahar earlier, Iftar minutes move Iftar later.
+ * A weekday entry replaces the calendar-wide value on that weekday.
+ * @param {Object} ihtiyat - { sahar: { minutes, weekdays: { 0-6: minutes } }, iftar: {...} }
+ * @returns {Object}
+ */
+function normalizeIhtiyat(ihtiyat = {}) {
+    const clamp = (value) => Math.max(0, Math.min(MAX_IHTIYAT_MINUTES, parseInt(value, 10) || 0));
+    const normalized = {};
+
+    ['sahar', 'iftar'].forEach(event => {
+        const rule = (ihtiyat && ihtiyat[event]) || {};
+        const weekdays = {};
+        Object.entries(rule.weekdays || {}).forEach(([weekday, minutes]) => {
+            if (WEEKDAY_NAMES[weekday] && minutes !== null && minutes !== '') {
+                weekdays[weekday] = clamp(minutes);
+            }
+        });
+        normalized[event] = { minutes: clamp(rule.minutes), weekdays };
+    });
+
+    return normalized;
+}
+
+/**
+ * Safety margin for one event on one date
+ * @param {Object} ihtiyat - Normalized rules
+ * @param {string} event - 'sahar' or 'iftar'
+ * @param {string} isoDate - YYYY-MM-DD
+ * @returns {number} - Minutes
+ */
+function getIhtiyatMinutes(ihtiyat, event, isoDate) {
+    const rule = ihtiyat && ihtiyat[event];
+    if (!rule) return 0;
+
+    const weekday = getIsoWeekday(isoDate);
+    return rule.weekdays && weekday in rule.weekdays ? rule.weekdays[weekday] : rule.minutes || 0;
+}
+
+/**
+ * Weekday of a calendar date
+ * @param {string} isoDate - YYYY-MM-DD
+ * @returns {number} - 0 = Sunday, as Date.getDay
+ */
+function getIsoWeekday(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Move an HH:MM time by some minutes, staying within the same day
+ * @param {string} time - HH:MM
+ * @param {number} minutes - May be negative
+ * @returns {string}
+ */
+function shiftTime(time, minutes) {
+    const [hours, mins] = time.split(':').map(Number);
+    const total = Math.max(0, Math.min(24 * 60 - 1, hours * 60 + mins + minutes));
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Apply a calendar's safety margins to a day. The published times are kept
+ * alongside so they can still be shown.
+ * @param {Object} day - Day entry as stored ({ date, saharTime, iftarTime })
+ * @param {Object} ihtiyat - Calendar safety margin rules
+ * @returns {Object} - Day with adjusted times plus publishedSaharTime/publishedIftarTime
+ */
+function applyIhtiyat(day, ihtiyat) {
+    const saharMinutes = getIhtiyatMinutes(ihtiyat, 'sahar', day.date);
+    const iftarMinutes = getIhtiyatMinutes(ihtiyat, 'iftar', day.date);
+
+    return {
+        ...day,
+        saharTime: shiftTime(day.saharTime, -saharMinutes),
+        iftarTime: shiftTime(day.iftarTime, iftarMinutes),
+        publishedSaharTime: day.saharTime,
+        publishedIftarTime: day.iftarTime
+    };
+}
+
+/**
+ * Check whether a calendar has any safety margin set
+ * @param {Object} ihtiyat - Calendar safety margin rules
+ * @returns {boolean}
+ */
+function hasIhtiyat(ihtiyat) {
+    if (!ihtiyat) return false;
+    return ['sahar', 'iftar'].some(event => ihtiyat[event] && (
+        ihtiyat[event].minutes > 0 || Object.values(ihtiyat[event].weekdays || {}).some(minutes => minutes > 0)
+    ));
+}
+
+/**
+ * Describe safety margin rules, e.g. "Sahar −5 min (Fri −10), Iftar +2 min"
+ * @param {Object} ihtiyat - Calendar safety margin rules
+ * @returns {string}
+ */
+function describeIhtiyat(ihtiyat) {
+    if (!hasIhtiyat(ihtiyat)) return 'None';
+
+    const describe = (event, label, sign) => {
+        const rule = ihtiyat[event];
+        const weekdays = Object.entries(rule.weekdays || {})
+            .map(([weekday, minutes]) => `${WEEKDAY_NAMES[weekday].slice(0, 3)} ${sign}${minutes}`);
+        return `${label} ${sign}${rule.minutes} min${weekdays.length ? ` (${weekdays.join(', ')})` : ''}`;
+    };
+
+    return `${describe('sahar', 'Sahar', '−')}, ${describe('iftar', 'Iftar', '+')}`;
+}
+
+/**
+ * Message used by a reminder without its own template
+ * @param {string} event - 'sahar' or 'iftar'
+ * @param {number} minutes - Minutes before the event
+ * @returns {string}
+ */
+function getDefaultReminderMessage(event, minutes) {
+    if (event === 'sahar') {
+        return minutes > 0 ? 'Sahar ends in {minutes} minutes' : 'Sahar has ended';
+    }
+    if (event === 'iftar') {
+        return minutes > 0 ? 'Iftar begins in {minutes} minutes' : 'It is time for Iftar';
+    }
+    return minutes > 0 ? '{event} at {time}, in {minutes} minutes' : 'It is time for {event}';
+}
+
+/**
+ * Fill in a reminder message template. Supports {event}, {minutes}, {time} and {label}.
+ * @param {string} template
+ * @param {Object} values - { event, minutes, time, label }
+ * @returns {string}
+ */
+function formatReminderMessage(template, values) {
+    return template.replace(/\{(event|minutes|time|label)\}/g, (match, name) => String(values[name] ?? ''));
+}
+
+/**
+ * Clean up alarm settings: clamp reminder offsets, cap the number per event
+ * and convert the single Sahar/Iftar offsets stored by older versions
+ * @param {Object} settings - Stored or submitted alarm settings
+ * @returns {Object} - { enabled, reminders: [{ id, event, minutes, label, message, sound, enabled }], volume, crescendoSeconds, snoozeMinutes, taraweehOffset }
+ */
+function normalizeAlarmSettings(settings = {}) {
+    // Older settings still get the default reminders merged in by getSetting, so check for their offsets first
+    const legacy = 'saharMinutes' in settings || 'iftarMinutes' in settings;
+    const source = legacy ? [
+        { event: 'sahar', minutes: settings.saharMinutes ?? 15 },
+        { event: 'iftar', minutes: settings.iftarMinutes ?? 15 }
+    ] : settings.reminders || [];
+    const reminders = [];
+    const ids = new Set();
+
+    source.forEach(reminder => {
+        if (!ALARM_EVENTS[reminder.event]) return;
+        if (reminders.filter(r => r.event === reminder.event).length >= MAX_REMINDERS_PER_EVENT) return;
+
+        const minutes = Math.max(0, Math.min(MAX_REMINDER_MINUTES, parseInt(reminder.minutes, 10) || 0));
+
+        // IDs name the planned alarms, so keep them stable between reads
+        let id = reminder.id || `${reminder.event}-${minutes}`;
+        for (let n = 2; ids.has(id); n++) id = `${reminder.event}-${minutes}-${n}`;
+        ids.add(id);
+
+        reminders.push({
+            id,
+            event: reminder.event,
+            minutes,
+            label: String(reminder.label || '').trim().slice(0, 40),
+            message: String(reminder.message || '').trim().slice(0, 120),
+            sound: ALARM_SOUNDS[reminder.sound] ? reminder.sound : 'chime',
+            enabled: reminder.enabled !== false
+        });
+    });
+
+    // Sahar before Iftar, earliest first within each event
+    const events = Object.keys(ALARM_EVENTS);
+    reminders.sort((a, b) => events.indexOf(a.event) - events.indexOf(b.event) || b.minutes - a.minutes);
+
+    const clamp = (value, min, max, fallback) => {
+        const number = parseInt(value, 10);
+        return Number.isNaN(number) ? fallback : Math.max(min, Math.min(max, number));
+    };
+
+    return {
+        enabled: Boolean(settings.enabled),
+        reminders,
+        volume: clamp(settings.volume, 0, 100, 80),
+        crescendoSeconds: clamp(settings.crescendoSeconds, 0, 120, 30),
+        snoozeMinutes: clamp(settings.snoozeMinutes, 1, 30, 5),
+        taraweehOffset: clamp(settings.taraweehOffset, 0, 180, 20),
+        quietPeriods: normalizeQuietPeriods(settings.quietPeriods),
+        pausedUntil: /^\d{4}-\d{2}-\d{2}$/.test(settings.pausedUntil || '') ? settings.pausedUntil : null
+    };
+}
+
+/**
+ * Keep the valid HH:MM prayer times of a day
+ * @param {Object} prayers - { fajr, dhuhr, asr, maghrib, isha }, any may be missing
+ * @returns {Object|undefined} - undefined when no time is set
+ */
+function normalizePrayerTimes(prayers) {
+    if (!prayers || typeof prayers !== 'object') return undefined;
+
+    const normalized = {};
+    Object.keys(PRAYER_NAMES).forEach(prayer => {
+        if (/^\d{2}:\d{2}$/.test(prayers[prayer] || '')) {
+            normalized[prayer] = prayers[prayer];
+        }
+    });
+
+    return Object.keys(normalized).length ? normalized : undefined;
+}
+
+/**
+ * Describe a day's prayer times, e.g. "Fajr 04:30, Dhuhr 12:10"
+ * @param {Object} prayers - Normalized prayer times
+ * @returns {string}
+ */
+function describePrayerTimes(prayers) {
+    if (!prayers) return 'None';
+    return Object.entries(PRAYER_NAMES)
+        .filter(([prayer]) => prayers[prayer])
+        .map(([prayer, name]) => `${name} ${prayers[prayer]}`)
+        .join(', ');
+}
+
+/**
+ * Describe the enabled reminders, e.g. "Sahar 60/15/0m • Iftar 10/0m before"
+ * @param {Array} reminders - Normalized reminders
+ * @returns {string}
+ */
+function describeReminders(reminders) {
+    const parts = Object.entries(ALARM_EVENTS).map(([event, name]) => {
+        const minutes = reminders.filter(r => r.event === event && r.enabled).map(r => r.minutes);
+        return minutes.length ? `${name} ${minutes.join('/')}m` : null;
+    }).filter(Boolean);
+
+    return parts.length ? `${parts.join(' • ')} before` : 'no reminders on';
+}
+
+/**
+ * Clean up recurring quiet periods. A period ending before it starts runs past
+ * midnight; no weekdays means every day.
+ * @param {Array} periods - [{ start: HH:MM, end: HH:MM, weekdays: [0-6] }]
+ * @returns {Array}
+ */
+function normalizeQuietPeriods(periods) {
+    const isTime = (time) => /^\d{2}:\d{2}$/.test(time || '');
+
+    return (Array.isArray(periods) ? periods : [])
+        .filter(period => period && isTime(period.start) && isTime(period.end) && period.start !== period.end)
+        .slice(0, MAX_QUIET_PERIODS)
+        .map(period => ({
+            start: period.start,
+            end: period.end,
+            weekdays: [...new Set((period.weekdays || []).map(Number))]
+                .filter(weekday => WEEKDAY_NAMES[weekday])
+                .sort((a, b) => a - b)
+        }));
+}
+
+/**
+ * Check whether an instant falls in a quiet period. The night part of a period
+ * that runs past midnight belongs to the weekday it started on.
+ * @param {Date} instant
+ * @param {string} timezone - Calendar timezone the periods are in
+ * @param {Array} periods - Normalized quiet periods
+ * @returns {boolean}
+ */
+function isInQuietPeriod(instant, timezone, periods) {
+    const date = getZonedIsoDate(instant, timezone);
+    const time = formatZonedTime(instant, timezone);
+
+    return periods.some(period => {
+        const onDay = (isoDate) => period.weekdays.length === 0 || period.weekdays.includes(getIsoWeekday(isoDate));
+
+        if (period.start < period.end) {
+            return time >= period.start && time < period.end && onDay(date);
+        }
+        return (time >= period.start && onDay(date)) ||
+            (time < period.end && onDay(addDaysToIsoDate(date, -1)));
+    });
+}
+
+/**
+ * Describe a quiet period, e.g. "23:00–03:00 (Fri, Sat)"
+ * @param {Object} period - Normalized quiet period
+ * @returns {string}
+ */
+function describeQuietPeriod(period) {
+    const days = period.weekdays.length === 0 ? 'every day' : period.weekdays.map(weekday => WEEKDAY_NAMES[weekday].slice(0, 3)).join(', ');
+    return `${period.start}–${period.end} (${days})`;
+}
+
+/**
+ * Say why a calendar day gets no alarms
+ * @param {Object} day - Day entry
+ * @param {Object} settings - Alarm settings
+ * @param {Set<string>} exemptDates - From getAlarmExemptDates
+ * @returns {string|null} - 'paused', 'skipped', 'exempt', or null when the day's alarms ring
+ */
+function getAlarmSkipReason(day, settings, exemptDates) {
+    if (settings.pausedUntil && day.date < settings.pausedUntil) return 'paused';
+    if (day.skipAlarms) return 'skipped';
+    if (exemptDates.has(day.date)) return 'exempt';
+    return null;
+}
+
+/**
+ * Clean up a calendar's alarm overrides
+ * @param {Object} overrides - { skipExempt, weekdays: { 0-6: minutes } } where a weekday's
+ *                             minutes move its reminders later (negative = earlier)
+ * @returns {Object}
+ */
+function normalizeAlarmOverrides(overrides = {}) {
+    const weekdays = {};
+    Object.entries((overrides && overrides.weekdays) || {}).forEach(([weekday, minutes]) => {
+        const shift = Math.max(-MAX_ALARM_SHIFT_MINUTES, Math.min(MAX_ALARM_SHIFT_MINUTES, parseInt(minutes, 10) || 0));
+        if (WEEKDAY_NAMES[weekday] && shift !== 0) {
+            weekdays[weekday] = shift;
+        }
+    });
+
+    return { skipExempt: Boolean(overrides && overrides.skipExempt), weekdays };
+}
+
+/**
+ * Check whether a calendar has any alarm override set
+ * @param {Object} overrides - Calendar alarm overrides
+ * @returns {boolean}
+ */
+function hasAlarmOverrides(overrides) {
+    return Boolean(overrides && (overrides.skipExempt || Object.keys(overrides.weekdays || {}).length > 0));
+}
+
+/**
+ * Describe alarm overrides, e.g. "Skip exempt days, Fri 30 min later"
+ * @param {Object} overrides - Calendar alarm overrides
+ * @returns {string}
+ */
+function describeAlarmOverrides(overrides) {
+    const rules = normalizeAlarmOverrides(overrides);
+    const parts = Object.entries(rules.weekdays).map(([weekday, minutes]) =>
+        `${WEEKDAY_NAMES[weekday].slice(0, 3)} ${Math.abs(minutes)} min ${minutes > 0 ? 'later' : 'earlier'}`
+    );
+    if (rules.skipExempt) parts.unshift('Skip exempt days');
+
+    return parts.length ? parts.join(', ') : 'None';
+}
+
+/**
+ * Read the notification permission, in the page or the service worker
+ * @returns {string} - 'granted', 'denied', 'default' or 'unsupported'
+ */
+function getNotificationPermission() {
+    return typeof Notification === 'undefined' ? 'unsupported' : Notification.permission;
+}
+
+/**
+ * Build an alarm log entry
+ * @param {string} event - Key of ALARM_LOG_EVENTS
+ * @param {Object} alarm - Alarm from the queue
+ * @param {Object} details - { delivery, mechanism, note, actualTime } where actualTime
+ *                           defaults to now and is null when it isn't known
+ * @returns {Object}
+ */
+function createAlarmLogEntry(event, alarm, details = {}) {
+    const loggedAt = new Date().toISOString();
+
+    return {
+        loggedAt,
+        event,
+        alarmId: alarm.id,
+        alarmType: alarm.type,
+        title: alarm.title,
+        date: alarm.date,
+        plannedTime: new Date(alarm.time).toISOString(),
+        actualTime: details.actualTime === undefined ? loggedAt : details.actualTime,
+        delivery: details.delivery || null,
+        mechanism: details.mechanism || null,
+        permission: getNotificationPermission(),
+        context: typeof window === 'undefined' ? 'service-worker' : 'page',
+        note: details.note || ''
+    };
+}
+
+// Calendar fields that are bookkeeping rather than content
+const CALENDAR_META_FIELDS = ['id', 'createdAt', 'updatedAt', 'deletedAt', 'deletedWasActive', 'deletedBatch'];
+
+/**
+ * Build the Qada ledger entry owed for a missed or exempt fasting log day
+ * @param {Object} logEntry - Fasting log entry
+ * @returns {Object}
+ */
+function createOwedFastEntry(logEntry) {
+    return {
+        type: 'owed',
+        source: `${logEntry.calendarId}:${logEntry.date}`,
+        calendarId: logEntry.calendarId,
+        date: logEntry.date,
+        year: Number(logEntry.date.slice(0, 4)),
+        count: 1,
+        reason: logEntry.status === 'exempt' ? logEntry.reason : 'missed',
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Copy the user-editable content of a calendar
+ * @param {Object} calendar - Calendar object
+ * @returns {Object}
+ */
+function snapshotCalendar(calendar) {
+    const snapshot = JSON.parse(JSON.stringify(calendar));
+    CALENDAR_META_FIELDS.forEach(field => delete snapshot[field]);
+    return snapshot;
+}
+
+/**
+ * Build a revision record for a calendar state
+ * @param {Object} calendar - Calendar as saved (must have an id)
+ * @param {string} source - What made the change: 'created', 'edit', 'restore', 'import', 'original'
+ * @param {Array} changes - Result of diffCalendars against the previous state
+ * @returns {Object}
+ */
+function createRevision(calendar, source, changes) {
+    return {
+        calendarId: calendar.id,
+        createdAt: new Date().toISOString(),
+        source: source,
+        changes: changes,
+        snapshot: snapshotCalendar(calendar)
+    };
+}
+
+/**
+ * List the differences between two versions of a calendar
+ * @param {Object} before - Earlier version
+ * @param {Object} after - Later version
+ * @returns {Array<Object>} - Field changes ({ type: 'field', field, from, to }) and
+ *     day changes ({ type: 'day', day, date, field, from, to }); added or removed
+ *     days are reported as a 'date' change from or to null
+ */
+function diffCalendars(before, after) {
+    const changes = [];
+    const a = snapshotCalendar(before);
+    const b = snapshotCalendar(after);
+
+    // Top-level fields (name, year, ...)
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    fields.delete('days');
+    fields.forEach(field => {
+        if (JSON.stringify(a[field]) !== JSON.stringify(b[field])) {
+            changes.push({ type: 'field', field, from: a[field] ?? null, to: b[field] ?? null });
+        }
+    });
+
+    // Days, compared position by position
+    const daysA = a.days || [];
+    const daysB = b.days || [];
+    for (let i = 0; i < Math.max(daysA.length, daysB.length); i++) {
+        const dayA = daysA[i];
+        const dayB = daysB[i];
+
+        if (!dayA || !dayB) {
+            changes.push({ type: 'day', day: i + 1, date: (dayA || dayB).date, field: 'date', from: dayA?.date ?? null, to: dayB?.date ?? null });
+            continue;
+        }
+
+        const dayFields = new Set([...Object.keys(dayA), ...Object.keys(dayB)]);
+        dayFields.forEach(field => {
+            if (JSON.stringify(dayA[field]) !== JSON.stringify(dayB[field])) {
+                changes.push({ type: 'day', day: i + 1, date: dayB.date, field, from: dayA[field] ?? null, to: dayB[field] ?? null });
+            }
+        });
+    }
+
+    return changes;
+}
+
+/**
+ * Compare two calendars' days by date rather than by position, e.g. an updated
+ * timetable against the one already saved
+ * @param {Array} before - Days of the saved calendar
+ * @param {Array} after - Days of the newer version
+ * @returns {Array<Object>} - { date, status: 'changed'|'added'|'removed', from, to, fields }
+ *     by date; from/to are the days (null when missing), fields the times that differ.
+ *     Unchanged days are left out.
+ */
+function diffDaysByDate(before, after) {
+    const daysBefore = new Map(before.map(day => [day.date, day]));
+    const daysAfter = new Map(after.map(day => [day.date, day]));
+    const dates = [...new Set([...daysBefore.keys(), ...daysAfter.keys()])].sort();
+
+    return dates.map(date => {
+        const from = daysBefore.get(date) || null;
+        const to = daysAfter.get(date) || null;
+        if (!from || !to) {
+            return { date, status: from ? 'removed' : 'added', from, to, fields: [] };
+        }
+
+        // A newer version without prayer times (e.g. a CSV of Sahar and Iftar) doesn't remove them
+        const fields = ['saharTime', 'iftarTime', 'prayers']
+            .filter(field => field !== 'prayers' || to.prayers)
+            .filter(field => JSON.stringify(from[field] ?? null) !== JSON.stringify(to[field] ?? null));
+        return fields.length > 0 ? { date, status: 'changed', from, to, fields } : null;
+    }).filter(Boolean);
+}
+
+/**
+ * Format a Date as a local YYYY-MM-DD string
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+function toIsoDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Convert legacy DD-MM day dates to YYYY-MM-DD.
+ * Dates are assumed to run in order, so a month earlier than the previous
+ * day's month means the calendar crossed into the next year.
+ * @param {Array} days - Day objects
+ * @param {number} year - Calendar year of the first day
+ * @returns {Array} - New day objects with ISO dates
+ */
+function normalizeDayDates(days, year) {
+    let currentYear = year;
+    let previousMonth = null;
+
+    return days.map(day => {
+        const legacy = /^(\d{2})-(\d{2})$/.exec(day.date || '');
+        if (!legacy) {
+            if (/^\d{4}-\d{2}-\d{2}$/.test(day.date || '')) {
+                currentYear = Number(day.date.slice(0, 4));
+                previousMonth = Number(day.date.slice(5, 7));
+            }
+            return { ...day };
+        }
+
+        const month = Number(legacy[2]);
+        if (previousMonth !== null && month < previousMonth) {
+            currentYear++;
+        }
+        previousMonth = month;
+
+        return { ...day, date: `${currentYear}-${legacy[2]}-${legacy[1]}` };
+    });
+}
+
+/**
+ * Clean up a calendar's days as they are saved: ISO dates, only valid
+ * prayer times (days without any lose the prayers field) and skipAlarms
+ * only on the days that skip them
+ * @param {Array} days - Day objects
+ * @param {number} year - Calendar year of the first day
+ * @returns {Array}
+ */
+function normalizeCalendarDays(days, year) {
+    return normalizeDayDates(days, year).map(day => {
+        const { prayers, skipAlarms, ...rest } = day;
+        const normalized = normalizePrayerTimes(prayers);
+        return {
+            ...rest,
+            ...(normalized ? { prayers: normalized } : {}),
+            ...(skipAlarms ? { skipAlarms: true } : {})
+        };
+    });
+}
+
+class RamadanDB extends EventTarget {
     constructor() {
+        super();
         this.dbName = 'RamadanReadyDB';
-        this.dbVersion = 1;
+        this.dbVersion = 9;
         this.db = null;
+        this.initPromise = null;
         this.STORE_NAME = 'calendars';
+        this.SETTINGS_STORE = 'settings';
+        this.REVISIONS_STORE = 'revisions';
+        this.FASTING_LOG_STORE = 'fastingLog';
+        this.QADA_STORE = 'qadaLedger';
+        this.ALARM_LOG_STORE = 'alarmLog';
         this.ACTIVE_KEY = 'activeCalendarId';
+        this.channel = null;
+
+        // Relay setting and calendar changes made in other tabs or the service worker
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel('ramadan-ready-settings');
+            this.channel.onmessage = (event) => {
+                const { event: type = 'settingchange', ...detail } = event.data;
+                this.dispatchEvent(new CustomEvent(type, { detail }));
+            };
+        }
+    }
+
+    /**
+     * Initialize the database connection
+     * @returns {Promise<IDBDatabase>}
+     */
+    async init() {
+        if (this.db) return this.db;
+        if (this.initPromise) return this.initPromise;
+
+        this.initPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.importLegacySettings()
+                    .catch(error => console.error('Failed to import legacy settings:', error))
+                    .then(() => resolve(this.db));
+            };
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                const transaction = event.target.transaction;
+                
+                // Run every migration between the stored and current version, one after another
+                const migrate = (version) => {
+                    if (version > this.dbVersion) return;
+                    console.log(`Migrating database to v${version}`);
+                    DB_MIGRATIONS[version](db, transaction, () => migrate(version + 1));
+                };
+                migrate(event.oldVersion + 1);
+            };
+        });
+
+        return this.initPromise;
+    }
+
+    /**
+     * Create a new calendar
+     * @param {Object} calendarData - Calendar data
+     * @param {Object} options - { source } recorded in the first revision (default 'created')
+     * @returns {Promise<number>} - ID of created calendar
+     */
+    async createCalendar(calendarData, options = {}) {
+        await this.init();
+        
+        const calendar = {
+            name: calendarData.name,
+            year: calendarData.year,
+            timezone: calendarData.timezone || getDeviceTimezone(),
+            ihtiyat: normalizeIhtiyat(calendarData.ihtiyat),
+            alarmOverrides: normalizeAlarmOverrides(calendarData.alarmOverrides),
+            days: normalizeCalendarDays(calendarData.days || [], calendarData.year),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORE_NAME, this.REVISIONS_STORE], 'readwrite');
+            const store = transaction.objectStore(this.STORE_NAME);
+            const request = store.add(calendar);
+
+            request.onsuccess = () => {
+                // Record the initial version
+                const revision = createRevision({ ...calendar, id: request.result }, options.source || 'created', []);
+                transaction.objectStore(this.REVISIONS_STORE).add(revision);
+            };
+
+            transaction.oncomplete = async () => {
+                const id = request.result;
+                // Set as active if it's the first calendar
+                const calendars = await this.getAllCalendars();
+                if (calendars.length === 1) {
+                    await this.setActiveCalendar(id);
+                }
+                this.notifyCalendarChange(id);
+                resolve(id);
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a calendar by ID
+     * @param {number} id - Calendar ID
+     * @returns {Promise<Object|null>}
+     */
+    async getCalendar(id) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.STORE_NAME);
+            const request = store.get(id);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get all calendars
+     * @param {Object} options - { includeDeleted: false } to also return calendars in the trash
+     * @returns {Promise<Array>}
+     */
+    async getAllCalendars(options = {}) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORE_NAME], 'readonly');
+            const store = transaction.objectStore(this.STORE_NAME);
+            const request = store.getAll();
+
+            request.onsuccess = () => {
+                resolve(options.includeDeleted ? request.result : request.result.filter(cal => !cal.deletedAt));
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get calendars in the trash, most recently deleted first
+     * @returns {Promise<Array>}
+     */
+    async getDeletedCalendars() {
+        const calendars = await this.getAllCalendars({ includeDeleted: true });
+        return calendars
+            .filter(cal => cal.deletedAt)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    /**
+     * Update a calendar, recording a revision when anything changed
+     * @param {number} id - Calendar ID
+     * @param {Object} updates - Updated fields
+     * @param {Object} options - { source } recorded in the revision (default 'edit')
+     * @returns {Promise<void>}
+     */
+    async updateCalendar(id, updates, options = {}) {
+        await this.init();
+
+        const calendar = await this.getCalendar(id);
+        if (!calendar) throw new Error('Calendar not found');
+
+        const updated = {
+            ...calendar,
+            ...updates,
+            id: id, // Ensure ID is preserved
+            updatedAt: new Date().toISOString()
+        };
+        updated.days = normalizeCalendarDays(updated.days || [], updated.year);
+        if (updated.ihtiyat) updated.ihtiyat = normalizeIhtiyat(updated.ihtiyat);
+        if (updated.alarmOverrides) updated.alarmOverrides = normalizeAlarmOverrides(updated.alarmOverrides);
+        
+        // Fields explicitly set to undefined are removed
+        Object.keys(updated).forEach(field => {
+            if (updated[field] === undefined) delete updated[field];
+        });
+        const changes = diffCalendars(calendar, updated);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORE_NAME, this.REVISIONS_STORE], 'readwrite');
+            transaction.objectStore(this.STORE_NAME).put(updated);
+
+            if (changes.length > 0) {
+                transaction.objectStore(this.REVISIONS_STORE).add(createRevision(updated, options.source || 'edit', changes));
+            }
+
+            transaction.oncomplete = () => {
+                this.notifyCalendarChange(id);
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get the revision history of a calendar, newest first
+     * @param {number} calendarId - Calendar ID
+     * @returns {Promise<Array>}
+     */
+    async getRevisions(calendarId) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.REVISIONS_STORE], 'readonly');
+            const index = transaction.objectStore(this.REVISIONS_STORE).index('calendarId');
+            const request = index.getAll(calendarId);
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => b.id - a.id));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Restore a calendar to the state saved in a revision
+     * @param {number} revisionId - Revision ID
+     * @returns {Promise<void>}
+     */
+    async restoreRevision(revisionId) {
+        await this.init();
+
+        const revision = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.REVISIONS_STORE], 'readonly');
+            const request = transaction.objectStore(this.REVISIONS_STORE).get(revisionId);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+        if (!revision) throw new Error('Revision not found');
+
+        const current = await this.getCalendar(revision.calendarId);
+        if (!current) throw new Error('Calendar not found');
+
+        // Replace the content entirely so fields added after the revision are dropped
+        const restored = { ...revision.snapshot };
+        Object.keys(snapshotCalendar(current)).forEach(field => {
+            if (!(field in restored)) restored[field] = undefined;
+        });
+
+        return this.updateCalendar(revision.calendarId, restored, { source: 'restore' });
+    }
+
+    /**
+     * Delete all revisions of a calendar
+     * @param {number} calendarId - Calendar ID
+     * @returns {Promise<void>}
+     */
+    async deleteRevisions(calendarId) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.REVISIONS_STORE], 'readwrite');
+            const index = transaction.objectStore(this.REVISIONS_STORE).index('calendarId');
+
+            index.openKeyCursor(IDBKeyRange.only(calendarId)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                transaction.objectStore(this.REVISIONS_STORE).delete(cursor.primaryKey);
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get the fasting log of a calendar, sorted by date
+     * @param {number} calendarId - Calendar ID
+     * @returns {Promise<Array>} - [{ calendarId, date, status, reason, updatedAt }]
+     */
+    async getFastingLog(calendarId) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.FASTING_LOG_STORE], 'readonly');
+            const index = transaction.objectStore(this.FASTING_LOG_STORE).index('calendarId');
+            const request = index.getAll(calendarId);
+
+            request.onsuccess = () => resolve(request.result.sort((a, b) => a.date.localeCompare(b.date)));
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the fasting log entry for one day
+     * @param {number} calendarId - Calendar ID
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<Object|null>}
+     */
+    async getFastingEntry(calendarId, date) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.FASTING_LOG_STORE], 'readonly');
+            const request = transaction.objectStore(this.FASTING_LOG_STORE).get([calendarId, date]);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Record whether a day was fasted
+     * @param {number} calendarId - Calendar ID
+     * @param {string} date - YYYY-MM-DD
+     * @param {string} status - 'fasted', 'missed' or 'exempt'
+     * @param {string} reason - Key of EXEMPT_REASONS (exempt days only)
+     * @returns {Promise<Object>} - The saved entry
+     */
+    async setFastingStatus(calendarId, date, status, reason = null) {
+        await this.init();
+
+        if (!FASTING_STATUSES.includes(status)) {
+            throw new Error(`Unknown fasting status: ${status}`);
+        }
+        if (status === 'exempt' && !EXEMPT_REASONS[reason]) {
+            throw new Error('An exempt day needs a reason');
+        }
+
+        const entry = {
+            calendarId,
+            date,
+            status,
+            reason: status === 'exempt' ? reason : null,
+            updatedAt: new Date().toISOString()
+        };
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.FASTING_LOG_STORE, this.QADA_STORE], 'readwrite');
+            transaction.objectStore(this.FASTING_LOG_STORE).put(entry);
+            this.syncOwedFast(transaction, calendarId, date, entry);
+
+            transaction.oncomplete = () => resolve(entry);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Remove the fasting log entry for one day
+     * @param {number} calendarId - Calendar ID
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<void>}
+     */
+    async clearFastingStatus(calendarId, date) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.FASTING_LOG_STORE, this.QADA_STORE], 'readwrite');
+            transaction.objectStore(this.FASTING_LOG_STORE).delete([calendarId, date]);
+            this.syncOwedFast(transaction, calendarId, date, null);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Keep the owed fast for a logged day in step with its log entry, inside
+     * the caller's transaction. Owed fasts are never removed when a calendar
+     * is purged, so the ledger outlives the calendars it came from.
+     * @param {IDBTransaction} transaction - Read/write transaction including the Qada store
+     * @param {number} calendarId - Calendar ID
+     * @param {string} date - YYYY-MM-DD
+     * @param {Object|null} logEntry - New log entry, or null when cleared
+     */
+    syncOwedFast(transaction, calendarId, date, logEntry) {
+        const store = transaction.objectStore(this.QADA_STORE);
+        const request = store.index('source').get(`${calendarId}:${date}`);
+
+        request.onsuccess = () => {
+            const existing = request.result;
+
+            if (logEntry && logEntry.status !== 'fasted') {
+                const owed = createOwedFastEntry(logEntry);
+                if (existing) {
+                    owed.id = existing.id;
+                    owed.createdAt = existing.createdAt;
+                }
+                store.put(owed);
+            } else if (existing) {
+                store.delete(existing.id);
+            }
+        };
+    }
+
+    /**
+     * Get every Qada ledger entry, oldest first
+     * @returns {Promise<Array>}
+     */
+    async getQadaLedger() {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.QADA_STORE], 'readonly');
+            const request = transaction.objectStore(this.QADA_STORE).index('date').getAll();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Add an entry to the Qada ledger
+     * @param {Object} entry - { type, date, count, note } plus { saharTime, iftarTime } for
+     *                         make-up fasts and { amount } for fidya
+     * @returns {Promise<number>} - ID of the new entry
+     */
+    async addQadaEntry(entry) {
+        await this.init();
+
+        if (!QADA_ENTRY_TYPES[entry.type]) {
+            throw new Error(`Unknown ledger entry type: ${entry.type}`);
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(entry.date || '')) {
+            throw new Error('Ledger entries need a date (YYYY-MM-DD)');
+        }
+
+        const count = parseInt(entry.count, 10) || 1;
+        if (count < 1) throw new Error('Count must be at least 1');
+
+        const record = {
+            ...entry,
+            year: Number(entry.date.slice(0, 4)),
+            count,
+            createdAt: new Date().toISOString()
+        };
+        delete record.id;
+        delete record.source;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.QADA_STORE], 'readwrite');
+            const request = transaction.objectStore(this.QADA_STORE).add(record);
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Update fields of a Qada ledger entry (e.g. mark kaffarah as paid)
+     * @param {number} id - Entry ID
+     * @param {Object} updates - Fields to change
+     * @returns {Promise<void>}
+     */
+    async updateQadaEntry(id, updates) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.QADA_STORE], 'readwrite');
+            const store = transaction.objectStore(this.QADA_STORE);
+            const getRequest = store.get(id);
+
+            getRequest.onsuccess = () => {
+                if (!getRequest.result) {
+                    reject(new Error('Ledger entry not found'));
+                    return;
+                }
+                store.put({ ...getRequest.result, ...updates, id });
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Delete a Qada ledger entry
+     * @param {number} id - Entry ID
+     * @returns {Promise<void>}
+     */
+    async deleteQadaEntry(id) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.QADA_STORE], 'readwrite');
+            const request = transaction.objectStore(this.QADA_STORE).delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Work out the Qada balance and fidya/kaffarah amounts
+     * @returns {Promise<Object>} - { owed, madeUp, fidyaDays, outstanding, kaffarahFasts,
+     *                                fidyaRate, currency, fidyaDue, kaffarahDue, owedByYear }
+     */
+    async getQadaSummary() {
+        const ledger = await this.getQadaLedger();
+        const { fidyaRate, currency } = await this.getQadaSettings();
+
+        const total = (type, filter = () => true) => ledger
+            .filter(entry => entry.type === type && filter(entry))
+            .reduce((sum, entry) => sum + entry.count, 0);
+
+        const owed = total('owed');
+        const madeUp = total('madeup');
+        const fidyaDays = total('fidya');
+        const outstanding = Math.max(0, owed - madeUp - fidyaDays);
+        const kaffarahFasts = total('kaffarah', entry => !entry.paid);
+
+        const owedByYear = {};
+        ledger.filter(entry => entry.type === 'owed').forEach(entry => {
+            owedByYear[entry.year] = (owedByYear[entry.year] || 0) + entry.count;
+        });
+
+        return {
+            owed,
+            madeUp,
+            fidyaDays,
+            outstanding,
+            kaffarahFasts,
+            fidyaRate,
+            currency,
+            fidyaDue: outstanding * fidyaRate,
+            kaffarahDue: kaffarahFasts * KAFFARAH_DAYS * fidyaRate,
+            owedByYear
+        };
+    }
+
+    /**
+     * Get the fidya rate settings
+     * @returns {Promise<Object>} - { fidyaRate, currency }
+     */
+    async getQadaSettings() {
+        return this.getSetting('qadaSettings');
+    }
+
+    /**
+     * Save the fidya rate settings
+     * @param {Object} settings - { fidyaRate: amount per day, currency }
+     * @returns {Promise<void>}
+     */
+    async saveQadaSettings(settings) {
+        return this.setSetting('qadaSettings', {
+            fidyaRate: Math.max(0, parseFloat(settings.fidyaRate) || 0),
+            currency: String(settings.currency || '').trim().slice(0, 8)
+        });
+    }
+
+    /**
+     * Delete the whole fasting log of a calendar
+     * @param {number} calendarId - Calendar ID
+     * @returns {Promise<void>}
+     */
+    async deleteFastingLog(calendarId) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.FASTING_LOG_STORE], 'readwrite');
+            const index = transaction.objectStore(this.FASTING_LOG_STORE).index('calendarId');
+
+            index.openKeyCursor(IDBKeyRange.only(calendarId)).onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                transaction.objectStore(this.FASTING_LOG_STORE).delete(cursor.primaryKey);
+                cursor.continue();
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Move a calendar to the trash
+     * @param {number} id - Calendar ID
+     * @param {Object} options - { batch } groups calendars trashed together by clearAll
+     * @returns {Promise<void>}
+     */
+    async deleteCalendar(id, options = {}) {
+        await this.init();
+
+        const calendar = await this.getCalendar(id);
+        if (!calendar) throw new Error('Calendar not found');
+
+        const activeId = await this.getActiveCalendarId();
+        calendar.deletedAt = new Date().toISOString();
+        calendar.deletedWasActive = activeId === id;
+        if (options.batch) calendar.deletedBatch = options.batch;
+
+        await this.putCalendar(calendar);
+
+        // If deleted calendar was active, clear active
+        if (calendar.deletedWasActive) {
+            await this.removeSetting(this.ACTIVE_KEY);
+        }
+    }
+
+    /**
+     * Restore a calendar from the trash, re-activating it if it was active
+     * @param {number} id - Calendar ID
+     * @returns {Promise<void>}
+     */
+    async restoreCalendar(id) {
+        await this.init();
+
+        const calendar = await this.getCalendar(id);
+        if (!calendar) throw new Error('Calendar not found');
+
+        const wasActive = calendar.deletedWasActive;
+        delete calendar.deletedAt;
+        delete calendar.deletedWasActive;
+        delete calendar.deletedBatch;
+
+        await this.putCalendar(calendar);
+
+        if (wasActive || !(await this.getActiveCalendarId())) {
+            await this.setActiveCalendar(id);
+        }
+    }
+
+    /**
+     * Permanently delete a calendar and its history
+     * @param {number} id - Calendar ID
+     * @returns {Promise<void>}
+     */
+    async purgeCalendar(id) {
+        await this.init();
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.STORE_NAME);
+            const request = store.delete(id);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+        });
+
+        await this.deleteRevisions(id);
+        await this.deleteFastingLog(id);
+        this.notifyCalendarChange(id);
+    }
+
+    /**
+     * Permanently delete trashed calendars older than the retention period
+     * @returns {Promise<number>} - Number of calendars purged
+     */
+    async purgeExpiredTrash() {
+        const retentionDays = await this.getTrashRetentionDays();
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+
+        const expired = (await this.getDeletedCalendars())
+            .filter(cal => new Date(cal.deletedAt).getTime() < cutoff);
+
+        for (const calendar of expired) {
+            await this.purgeCalendar(calendar.id);
+        }
+        return expired.length;
+    }
+
+    /**
+     * Permanently delete everything in the trash
+     * @returns {Promise<void>}
+     */
+    async emptyTrash() {
+        const deleted = await this.getDeletedCalendars();
+        for (const calendar of deleted) {
+            await this.purgeCalendar(calendar.id);
+        }
+    }
+
+    /**
+     * Get how many days trashed calendars are kept
+     * @returns {Promise<number>}
+     */
+    async getTrashRetentionDays() {
+        return this.getSetting('trashRetentionDays');
+    }
+
+    /**
+     * Set how many days trashed calendars are kept
+     * @param {number} days - 1-365
+     * @returns {Promise<void>}
+     */
+    async setTrashRetentionDays(days) {
+        return this.setSetting('trashRetentionDays', Math.max(1, Math.min(365, parseInt(days, 10) || 30)));
+    }
+
+    /**
+     * Write a calendar record as-is, without touching updatedAt or history
+     * @param {Object} calendar - Calendar object (with id)
+     * @returns {Promise<void>}
+     */
+    async putCalendar(calendar) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.STORE_NAME], 'readwrite');
+            const store = transaction.objectStore(this.STORE_NAME);
+            const request = store.put(calendar);
+
+            request.onsuccess = () => {
+                this.notifyCalendarChange(calendar.id);
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Duplicate a calendar
+     * @param {number} id - Calendar ID to duplicate
+     * @returns {Promise<number>} - ID of new calendar
+     */
+    async duplicateCalendar(id) {
+        const calendar = await this.getCalendar(id);
+        if (!calendar) throw new Error('Calendar not found');
+
+        const duplicate = {
+            name: `${calendar.name} (Copy)`,
+            year: calendar.year,
+            timezone: calendar.timezone,
+            ihtiyat: calendar.ihtiyat,
+            alarmOverrides: calendar.alarmOverrides,
+            days: [...calendar.days],
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        return this.createCalendar(duplicate);
+    }
+
+    /**
+     * Get a setting value, falling back to its default
+     * @param {string} key - Setting key
+     * @returns {Promise<*>}
+     */
+    async getSetting(key) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.SETTINGS_STORE], 'readonly');
+            const store = transaction.objectStore(this.SETTINGS_STORE);
+            const request = store.get(key);
+
+            request.onsuccess = () => {
+                const fallback = SETTING_DEFAULTS[key] ?? null;
+                const record = request.result;
+
+                if (!record) {
+                    resolve(fallback);
+                } else if (fallback && typeof fallback === 'object' && !Array.isArray(fallback)) {
+                    // Merge so settings saved by older versions pick up new fields
+                    resolve({ ...fallback, ...record.value });
+                } else {
+                    resolve(record.value);
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Save a setting value and notify listeners
+     * @param {string} key - Setting key
+     * @param {*} value - Value (must be structured-cloneable)
+     * @returns {Promise<void>}
+     */
+    async setSetting(key, value) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.SETTINGS_STORE], 'readwrite');
+            const store = transaction.objectStore(this.SETTINGS_STORE);
+            store.put({ key, value, updatedAt: new Date().toISOString() });
+
+            transaction.oncomplete = () => {
+                this.notifySettingChange(key, value);
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Remove a setting so it reverts to its default
+     * @param {string} key - Setting key
+     * @returns {Promise<void>}
+     */
+    async removeSetting(key) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.SETTINGS_STORE], 'readwrite');
+            const store = transaction.objectStore(this.SETTINGS_STORE);
+            store.delete(key);
+
+            transaction.oncomplete = () => {
+                this.notifySettingChange(key, SETTING_DEFAULTS[key] ?? null);
+                resolve();
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Dispatch a settingchange event here and in other contexts
+     * @param {string} key - Setting key
+     * @param {*} value - New value
+     */
+    notifySettingChange(key, value) {
+        const detail = { key, value };
+        this.dispatchEvent(new CustomEvent('settingchange', { detail }));
+        if (this.channel) {
+            this.channel.postMessage(detail);
+        }
+    }
+
+    /**
+     * Tell this and every other context that a calendar was saved, trashed or removed
+     * @param {number} id - Calendar ID
+     */
+    notifyCalendarChange(id) {
+        const detail = { id };
+        this.dispatchEvent(new CustomEvent('calendarchange', { detail }));
+        if (this.channel) {
+            this.channel.postMessage({ ...detail, event: 'calendarchange' });
+        }
+    }
+
+    /**
+     * Tell this and every other context that the alarm log has new entries
+     */
+    notifyAlarmLogChange() {
+        this.dispatchEvent(new CustomEvent('alarmlogchange'));
+        if (this.channel) {
+            this.channel.postMessage({ event: 'alarmlogchange' });
+        }
+    }
+
+    /**
+     * Move settings saved by older versions from LocalStorage into IndexedDB.
+     * Only the page can see LocalStorage, so this is a no-op in the service worker.
+     * @returns {Promise<void>}
+     */
+    async importLegacySettings() {
+        if (typeof localStorage === 'undefined') return;
+
+        for (const key of LEGACY_SETTING_KEYS) {
+            const raw = localStorage.getItem(key);
+            if (raw === null) continue;
+
+            let value;
+            try {
+                value = key === this.ACTIVE_KEY ? parseInt(raw, 10) : JSON.parse(raw);
+            } catch {
+                value = null;
+            }
+
+            if (value !== null && !Number.isNaN(value)) {
+                await this.setSetting(key, value);
+            }
+            localStorage.removeItem(key);
+        }
+    }
+
+    /**
+     * Get alarm settings
+     * @returns {Promise<Object>} - { enabled, reminders, volume, crescendoSeconds, snoozeMinutes } (see normalizeAlarmSettings)
+     */
+    async getAlarmSettings() {
+        return normalizeAlarmSettings(await this.getSetting('alarmSettings'));
+    }
+
+    /**
+     * Save alarm settings
+     * @param {Object} settings - { enabled, reminders, volume, crescendoSeconds, snoozeMinutes }
+     * @returns {Promise<void>}
+     */
+    async saveAlarmSettings(settings) {
+        return this.setSetting('alarmSettings', normalizeAlarmSettings(settings));
+    }
+
+    /**
+     * Get Hijri date settings
+     * @returns {Promise<Object>} - { method: 'umalqura'|'tabular', adjustment: -2..2 }
+     */
+    async getHijriSettings() {
+        return this.getSetting('hijriSettings');
+    }
+
+    /**
+     * Save Hijri date settings
+     * @param {Object} settings - { method, adjustment }
+     * @returns {Promise<void>}
+     */
+    async saveHijriSettings(settings) {
+        return this.setSetting('hijriSettings', {
+            method: settings.method === 'tabular' ? 'tabular' : 'umalqura',
+            adjustment: Math.max(-2, Math.min(2, parseInt(settings.adjustment, 10) || 0))
+        });
+    }
+
+    /**
+     * Get the full-screen countdown settings
+     * @returns {Promise<Object>} - { enabled, minutes, events: ['sahar'|'iftar'] }
+     */
+    async getIftarModeSettings() {
+        return this.getSetting('iftarModeSettings');
+    }
+
+    /**
+     * Save the full-screen countdown settings
+     * @param {Object} settings - { enabled, minutes before the event, events }
+     * @returns {Promise<void>}
+     */
+    async saveIftarModeSettings(settings) {
+        return this.setSetting('iftarModeSettings', {
+            enabled: Boolean(settings.enabled),
+            minutes: Math.max(1, Math.min(MAX_IFTAR_MODE_MINUTES, parseInt(settings.minutes, 10) || 10)),
+            events: ['sahar', 'iftar'].filter(event => (settings.events || []).includes(event))
+        });
+    }
+
+    /**
+     * Get the printed timetable settings
+     * @returns {Promise<Object>} - { paperSize: 'a4'|'letter', footer }
+     */
+    async getPrintSettings() {
+        return this.getSetting('printSettings');
+    }
+
+    /**
+     * Save the printed timetable settings
+     * @param {Object} settings - { paperSize, footer }
+     * @returns {Promise<void>}
+     */
+    async savePrintSettings(settings) {
+        return this.setSetting('printSettings', {
+            paperSize: settings.paperSize === 'letter' ? 'letter' : 'a4',
+            footer: String(settings.footer || '').trim().slice(0, 300)
+        });
+    }
+
+    /**
+     * Get the stored alarm schedule used for missed alarm detection
+     * @returns {Promise<Object|null>}
+     */
+    async getNextAlarmData() {
+        return this.getSetting('nextAlarmData');
+    }
+
+    /**
+     * Save the alarm schedule
+     * @param {Object} data - { alarms, awakeDates, calendarId, timezone, mechanism, plannedAt }
+     * @returns {Promise<void>}
+     */
+    async setNextAlarmData(data) {
+        return this.setSetting('nextAlarmData', data);
+    }
+
+    /**
+     * Clear the stored alarm schedule
+     * @returns {Promise<void>}
+     */
+    async clearNextAlarmData() {
+        return this.removeSetting('nextAlarmData');
+    }
+
+    /**
+     * Set the active calendar ID
+     * @param {number} id - Calendar ID
+     * @returns {Promise<void>}
+     */
+    async setActiveCalendar(id) {
+        return this.setSetting(this.ACTIVE_KEY, id);
+    }
+
+    /**
+     * Get the active calendar ID
+     * @returns {Promise<number|null>}
+     */
+    async getActiveCalendarId() {
+        return this.getSetting(this.ACTIVE_KEY);
+    }
+
+    /**
+     * Get the active calendar object
+     * @returns {Promise<Object|null>}
+     */
+    async getActiveCalendar() {
+        const id = await this.getActiveCalendarId();
+        if (!id) return null;
+        return this.getCalendar(id);
+    }
+
+    /**
+     * Check if a calendar is complete (has all required data)
+     * @param {Object} calendar - Calendar object
+     * @returns {boolean}
+     */
+    isCalendarComplete(calendar) {
+        if (!calendar) return false;
+        if (!calendar.name || !calendar.year) return false;
+        if (!Array.isArray(calendar.days)) return false;
+        if (calendar.days.length !== 29 && calendar.days.length !== 30) return false;
+        
+        // Check each day has required fields
+        return calendar.days.every(day => 
+            day.date && day.saharTime && day.iftarTime
+        );
+    }
+
+    /**
+     * Get today's fasting data from active calendar
+     * @returns {Promise<Object|null>} - Today's day data or null
+     */
+    async getTodayData() {
+        const calendar = await this.getActiveCalendar();
+        if (!calendar || !calendar.days) return null;
+
+        return this.getDayData(calendar, new Date());
     }
 
     /**
-     * Initialize the database connection
-     * @returns {Promise<IDBDatabase>}
+     * Find the day entry for a date in a calendar, with the calendar's safety
+     * margins applied (the published times are in publishedSaharTime/publishedIftarTime)
+     * @param {Object} calendar - Calendar object
+     * @param {Date|string} date - Instant (looked up in the calendar's timezone) or YYYY-MM-DD string
+     * @returns {Object|null}
      */
-    async init() {
-        if (this.db) return this.db;
+    getDayData(calendar, date) {
+        if (!calendar || !calendar.days) return null;
+        
+        const dateStr = date instanceof Date ? getZonedIsoDate(date, calendar.timezone) : date;
+        const day = calendar.days.find(d => d.date === dateStr);
+        return day ? applyIhtiyat(day, calendar.ihtiyat) : null;
+    }
 
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.dbVersion);
+    /**
+     * Plan the next alarms from the active calendar, across day boundaries
+     * @param {Object} options - { now: Date, count: number } (defaults: now, ALARM_QUEUE_DAYS of reminders)
+     * @returns {Promise<Array>} - [{ id, type, reminderId, date, time: Date, eventTime, eventAt, title, message, sound }], soonest first
+     */
+    async getUpcomingAlarms(options = {}) {
+        const now = options.now || new Date();
 
-            request.onerror = () => reject(request.error);
-            request.onsuccess = () => {
-                this.db = request.result;
-                resolve(this.db);
-            };
+        const settings = await this.getAlarmSettings();
+        const calendar = await this.getActiveCalendar();
+        const reminders = settings.reminders.filter(reminder => reminder.enabled);
+        if (!settings.enabled || !calendar || calendar.deletedAt || reminders.length === 0) return [];
 
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Create calendars object store
-                if (!db.objectStoreNames.contains(this.STORE_NAME)) {
-                    const store = db.createObjectStore(this.STORE_NAME, { keyPath: 'id', autoIncrement: true });
-                    store.createIndex('name', 'name', { unique: false });
-                    store.createIndex('year', 'year', { unique: false });
-                    store.createIndex('updatedAt', 'updatedAt', { unique: false });
-                }
-            };
-        });
+        const count = options.count || reminders.length * ALARM_QUEUE_DAYS;
+
+        // Yesterday's Tahajjud falls after midnight, so start a day back
+        const since = addDaysToIsoDate(getZonedIsoDate(now, calendar.timezone), -1);
+        const days = this.getAdjustedDays(calendar).filter(day => day.date >= since);
+
+        const overrides = normalizeAlarmOverrides(calendar.alarmOverrides);
+        const exemptDates = await this.getAlarmExemptDates(calendar);
+
+        const alarms = [];
+        for (const day of days) {
+            if (getAlarmSkipReason(day, settings, exemptDates)) continue;
+
+            const shift = overrides.weekdays[getIsoWeekday(day.date)] || 0;
+            const eventTimes = this.getDayEventTimes(calendar, day, { taraweehOffset: settings.taraweehOffset });
+            reminders.forEach(reminder => {
+                const instant = eventTimes[reminder.event];
+                if (!instant) return;
+
+                // A weekday shift moves the reminder later (closer to the event) or earlier
+                const minutes = Math.max(0, reminder.minutes - shift);
+                const time = new Date(instant.getTime() - minutes * 60000);
+                if (time <= now || isInQuietPeriod(time, calendar.timezone, settings.quietPeriods)) return;
+
+                const eventTime = formatZonedTime(instant, calendar.timezone);
+                const template = reminder.message || getDefaultReminderMessage(reminder.event, minutes);
+                alarms.push({
+                    id: `${day.date}-${reminder.id}`,
+                    type: reminder.event,
+                    reminderId: reminder.id,
+                    date: day.date,
+                    time,
+                    eventTime,
+                    eventAt: instant.toISOString(),
+                    title: reminder.label || `${ALARM_EVENTS[reminder.event]} Reminder`,
+                    message: formatReminderMessage(template, {
+                        event: ALARM_EVENTS[reminder.event],
+                        minutes,
+                        time: eventTime,
+                        label: reminder.label
+                    }),
+                    sound: reminder.sound
+                });
+            });
+        }
+
+        // Tahajjud and early reminders can cross into the next day, so order by time rather than by day
+        return alarms.sort((a, b) => a.time - b.time).slice(0, count);
     }
 
     /**
-     * Create a new calendar
-     * @param {Object} calendarData - Calendar data
-     * @returns {Promise<number>} - ID of created calendar
+     * Get the dates a calendar's alarm overrides skip because the fasting log marks them exempt
+     * @param {Object} calendar - Calendar object
+     * @returns {Promise<Set<string>>} - YYYY-MM-DD dates (empty unless overrides.skipExempt)
      */
-    async createCalendar(calendarData) {
-        await this.init();
-        
-        const calendar = {
-            name: calendarData.name,
-            year: calendarData.year,
-            days: calendarData.days || [],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+    async getAlarmExemptDates(calendar) {
+        if (!normalizeAlarmOverrides(calendar.alarmOverrides).skipExempt) return new Set();
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(this.STORE_NAME);
-            const request = store.add(calendar);
+        const log = await this.getFastingLog(calendar.id);
+        return new Set(log.filter(entry => entry.status === 'exempt').map(entry => entry.date));
+    }
 
-            request.onsuccess = () => {
-                const id = request.result;
-                // Set as active if it's the first calendar
-                this.getAllCalendars().then(calendars => {
-                    if (calendars.length === 1) {
-                        this.setActiveCalendar(id);
-                    }
-                });
-                resolve(id);
-            };
-            request.onerror = () => reject(request.error);
+    /**
+     * Plan the alarm queue and store it where both the page and the service
+     * worker read it. Recently passed alarms that never fired are kept so they
+     * can still be reported as missed, snoozed alarms are kept until they ring,
+     * and Sahar reminders are skipped on mornings marked "I'm awake".
+     * @param {Object} options - { now: Date, mechanism: 'triggers'|'periodic-sync'|'page' }
+     * @returns {Promise<Array>} - The upcoming alarms (as from getUpcomingAlarms) and snoozes, soonest first
+     */
+    async planAlarmQueue(options = {}) {
+        const now = options.now || new Date();
+        const settings = await this.getAlarmSettings();
+
+        if (!settings.enabled) {
+            await this.clearNextAlarmData();
+            return [];
+        }
+
+        const calendar = await this.getActiveCalendar();
+        const alarms = await this.getUpcomingAlarms({ now });
+
+        // Triggered notifications are shown by the system, so nothing they covered was missed
+        const stored = await this.getNextAlarmData();
+        const pending = stored?.mechanism === 'triggers' ? [] : (stored?.alarms || []).filter(alarm => {
+            const age = now.getTime() - new Date(alarm.time).getTime();
+            return !alarm.triggered && age >= 0 && age < MAX_MISSED_ALARM_AGE;
+        });
+        const snoozed = (stored?.alarms || []).filter(alarm => 
+            alarm.snoozeOf && !alarm.triggered && new Date(alarm.time) > now
+        );
+        const unrung = (stored?.alarms || []).filter(alarm => 
+            !alarm.triggered && new Date(alarm.time) <= now && !pending.includes(alarm)
+        );
+
+        // Only yesterday's and later "I'm awake" mornings can still matter
+        const since = addDaysToIsoDate(getZonedIsoDate(now, calendar?.timezone), -1);
+        const awakeDates = (stored?.awakeDates || []).filter(date => date >= since);
+        const upcoming = alarms.filter(alarm => !(alarm.type === 'sahar' && awakeDates.includes(alarm.date)));
+
+        // Log what is new in the queue, or now armed another way
+        const mechanism = options.mechanism || 'page';
+        const known = new Set(stored?.mechanism === mechanism ? stored.alarms.map(alarm => alarm.id) : []);
+        await this.logAlarmEvents('scheduled', upcoming.filter(alarm => !known.has(alarm.id)), { mechanism, actualTime: null });
+        await this.retireUnrungAlarms(unrung, stored, 'Never rang: no open page or service worker fired it in time');
+
+        await this.setNextAlarmData({
+            alarms: [
+                ...pending,
+                ...snoozed,
+                ...upcoming.map(alarm => ({ ...alarm, time: alarm.time.toISOString(), triggered: false }))
+            ].sort((a, b) => new Date(a.time) - new Date(b.time)),
+            awakeDates,
+            calendarId: calendar?.id,
+            timezone: calendar?.timezone,
+            mechanism,
+            plannedAt: now.toISOString()
         });
+
+        return [
+            ...snoozed.map(alarm => ({ ...alarm, time: new Date(alarm.time) })),
+            ...upcoming
+        ].sort((a, b) => a.time - b.time);
     }
 
     /**
-     * Get a calendar by ID
-     * @param {number} id - Calendar ID
-     * @returns {Promise<Object|null>}
+     * Snooze an alarm: it counts as answered and rings again later.
+     * Call planAlarmQueue (or ask the service worker to) afterwards to arm the snooze.
+     * @param {Object} alarm - Alarm that rang (from the queue or a notification)
+     * @param {number} minutes - Snooze length
+     * @param {Date} now - Defaults to now
+     * @returns {Promise<Object|null>} - The snooze entry, or null without a stored queue
      */
-    async getCalendar(id) {
-        await this.init();
+    async snoozeAlarm(alarm, minutes, now = new Date()) {
+        const stored = await this.getNextAlarmData();
+        if (!stored) return null;
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.STORE_NAME], 'readonly');
-            const store = transaction.objectStore(this.STORE_NAME);
-            const request = store.get(id);
+        const snoozeOf = alarm.snoozeOf || alarm.id;
+        const snooze = {
+            ...alarm,
+            id: `${snoozeOf}-snooze`,
+            snoozeOf,
+            time: new Date(now.getTime() + minutes * 60000).toISOString(),
+            triggered: false
+        };
 
-            request.onsuccess = () => resolve(request.result || null);
-            request.onerror = () => reject(request.error);
+        stored.alarms.forEach(entry => {
+            if (entry.id === alarm.id) entry.triggered = true;
+        });
+        stored.alarms = [...stored.alarms.filter(entry => entry.id !== snooze.id), snooze]
+            .sort((a, b) => new Date(a.time) - new Date(b.time));
+
+        await this.setNextAlarmData(stored);
+        await this.logAlarmEvents('snoozed', [alarm], {
+            mechanism: stored.mechanism,
+            note: `Rings again in ${minutes} min`
         });
+        return snooze;
     }
 
     /**
-     * Get all calendars
-     * @returns {Promise<Array>}
+     * Record "I'm awake" for an alarm. It is marked answered (so it is never
+     * reported as missed) and, for a Sahar reminder, the rest of that
+     * morning's Sahar reminders and snoozes are dropped and not planned again.
+     * @param {Object} alarm - Alarm that rang (from the queue or a notification)
+     * @param {Date} now - Defaults to now
+     * @returns {Promise<void>}
      */
-    async getAllCalendars() {
-        await this.init();
+    async acknowledgeAlarm(alarm, now = new Date()) {
+        const stored = await this.getNextAlarmData();
+        if (!stored) return;
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.STORE_NAME], 'readonly');
-            const store = transaction.objectStore(this.STORE_NAME);
-            const request = store.getAll();
+        stored.alarms.forEach(entry => {
+            if (entry.id === alarm.id) {
+                entry.triggered = true;
+                entry.acknowledgedAt = now.toISOString();
+            }
+        });
 
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
+        if (alarm.type === 'sahar') {
+            stored.awakeDates = [...new Set([...(stored.awakeDates || []), alarm.date])];
+            stored.alarms = stored.alarms.filter(entry => 
+                !(entry.type === 'sahar' && entry.date === alarm.date && new Date(entry.time) > now)
+            );
+        }
+
+        await this.setNextAlarmData(stored);
+        await this.logAlarmEvents('acknowledged', [alarm], {
+            mechanism: stored.mechanism,
+            note: alarm.type === 'sahar' ? `Skipped the rest of the Sahar reminders for ${alarm.date}` : ''
         });
     }
 
     /**
-     * Update a calendar
-     * @param {number} id - Calendar ID
-     * @param {Object} updates - Updated fields
+     * Add entries to the alarm delivery log, dropping the oldest beyond ALARM_LOG_LIMIT.
+     * A failed write is only reported to the console, so logging never stops an alarm.
+     * @param {string} event - Key of ALARM_LOG_EVENTS
+     * @param {Array<Object>} alarms - Alarms the entry is about
+     * @param {Object} details - { delivery, mechanism, note, actualTime } (see createAlarmLogEntry)
      * @returns {Promise<void>}
      */
-    async updateCalendar(id, updates) {
-        await this.init();
+    async logAlarmEvents(event, alarms, details = {}) {
+        if (alarms.length === 0) return;
 
-        const calendar = await this.getCalendar(id);
-        if (!calendar) throw new Error('Calendar not found');
+        try {
+            await this.init();
 
-        const updated = {
-            ...calendar,
-            ...updates,
-            id: id, // Ensure ID is preserved
-            updatedAt: new Date().toISOString()
-        };
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction([this.ALARM_LOG_STORE], 'readwrite');
+                const store = transaction.objectStore(this.ALARM_LOG_STORE);
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(this.STORE_NAME);
-            const request = store.put(updated);
+                alarms.forEach(alarm => store.add(createAlarmLogEntry(event, alarm, details)));
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
+                const countRequest = store.count();
+                countRequest.onsuccess = () => {
+                    let excess = countRequest.result - ALARM_LOG_LIMIT;
+                    if (excess <= 0) return;
+
+                    store.openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor || excess-- <= 0) return;
+                        cursor.delete();
+                        cursor.continue();
+                    };
+                };
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+
+            this.notifyAlarmLogChange();
+        } catch (error) {
+            console.error('Failed to write the alarm log:', error);
+        }
     }
 
     /**
-     * Delete a calendar
-     * @param {number} id - Calendar ID
+     * Log alarms that leave the queue without having rung. Under Notification
+     * Triggers the system showed them (it doesn't say when); otherwise they were
+     * missed and go into the catch-up report.
+     * @param {Array<Object>} alarms - Past alarms that never fired here
+     * @param {Object} stored - The queue they leave ({ mechanism, calendarId, timezone })
+     * @param {string} note - Why a missed alarm wasn't rung
      * @returns {Promise<void>}
      */
-    async deleteCalendar(id) {
-        await this.init();
+    async retireUnrungAlarms(alarms, stored, note) {
+        const mechanism = stored?.mechanism;
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(this.STORE_NAME);
-            const request = store.delete(id);
+        if (mechanism === 'triggers') {
+            return this.logAlarmEvents('fired', alarms, {
+                delivery: 'trigger',
+                mechanism,
+                actualTime: null,
+                note: 'Shown by the system, which does not report the time'
+            });
+        }
 
-            request.onsuccess = () => {
-                // If deleted calendar was active, clear active
-                const activeId = this.getActiveCalendarId();
-                if (activeId === id) {
-                    localStorage.removeItem(this.ACTIVE_KEY);
-                }
-                resolve();
-            };
-            request.onerror = () => reject(request.error);
-        });
+        await this.logAlarmEvents('missed', alarms, { mechanism, actualTime: null, note });
+        await this.addMissedAlarms(alarms, stored);
     }
 
     /**
-     * Duplicate a calendar
-     * @param {number} id - Calendar ID to duplicate
-     * @returns {Promise<number>} - ID of new calendar
+     * Get the alarms missed since the catch-up report was last dismissed, oldest first
+     * @returns {Promise<Array>} - Alarms from the queue plus { calendarId, timezone, shownAt?, reportedAt? }
      */
-    async duplicateCalendar(id) {
-        const calendar = await this.getCalendar(id);
-        if (!calendar) throw new Error('Calendar not found');
+    async getMissedAlarms() {
+        return [...await this.getSetting('missedAlarms')];
+    }
 
-        const duplicate = {
-            name: `${calendar.name} (Copy)`,
-            year: calendar.year,
-            days: [...calendar.days],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+    /**
+     * Add alarms to the catch-up report
+     * @param {Array<Object>} alarms - Missed alarms from the queue (shownAt is set when
+     *                                 a notification was shown late)
+     * @param {Object} stored - The queue they came from ({ calendarId, timezone })
+     * @returns {Promise<void>}
+     */
+    async addMissedAlarms(alarms, stored) {
+        if (alarms.length === 0) return;
 
-        return this.createCalendar(duplicate);
+        const missed = new Map((await this.getMissedAlarms()).map(alarm => [alarm.id, alarm]));
+        // Keep reportedAt when an alarm already in the report is missed again
+        alarms.forEach(alarm => missed.set(alarm.id, {
+            ...missed.get(alarm.id),
+            ...alarm,
+            triggered: false,
+            calendarId: stored?.calendarId,
+            timezone: stored?.timezone
+        }));
+
+        await this.setSetting('missedAlarms', [...missed.values()]
+            .sort((a, b) => new Date(a.time) - new Date(b.time))
+            .slice(-MAX_MISSED_ALARMS));
     }
 
     /**
-     * Set the active calendar ID
-     * @param {number} id - Calendar ID
+     * Note that the catch-up report has shown every missed alarm, so it doesn't open again for them
+     * @returns {Promise<void>}
      */
-    setActiveCalendar(id) {
-        localStorage.setItem(this.ACTIVE_KEY, id.toString());
+    async markMissedAlarmsReported() {
+        const missed = await this.getMissedAlarms();
+        if (missed.every(alarm => alarm.reportedAt)) return;
+
+        const reportedAt = new Date().toISOString();
+        await this.setSetting('missedAlarms', missed.map(alarm => ({ reportedAt, ...alarm })));
     }
 
     /**
-     * Get the active calendar ID
-     * @returns {number|null}
+     * Remove alarms from the catch-up report
+     * @param {Array<string>} ids - Alarm IDs (all when omitted)
+     * @returns {Promise<void>}
      */
-    getActiveCalendarId() {
-        const id = localStorage.getItem(this.ACTIVE_KEY);
-        return id ? parseInt(id, 10) : null;
+    async dismissMissedAlarms(ids) {
+        const missed = ids ? (await this.getMissedAlarms()).filter(alarm => !ids.includes(alarm.id)) : [];
+        await this.setSetting('missedAlarms', missed);
     }
 
     /**
-     * Get the active calendar object
-     * @returns {Promise<Object|null>}
+     * Get the alarm log, newest first
+     * @returns {Promise<Array>}
      */
-    async getActiveCalendar() {
-        const id = this.getActiveCalendarId();
-        if (!id) return null;
-        return this.getCalendar(id);
+    async getAlarmLog() {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.ALARM_LOG_STORE], 'readonly');
+            const request = transaction.objectStore(this.ALARM_LOG_STORE).getAll();
+
+            request.onsuccess = () => resolve(request.result.reverse());
+            request.onerror = () => reject(request.error);
+        });
     }
 
     /**
-     * Check if a calendar is complete (has all required data)
+     * Delete every alarm log entry
+     * @returns {Promise<void>}
+     */
+    async clearAlarmLog() {
+        await this.init();
+
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.ALARM_LOG_STORE], 'readwrite');
+            transaction.objectStore(this.ALARM_LOG_STORE).clear();
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        this.notifyAlarmLogChange();
+    }
+
+    /**
+     * Get every day of a calendar with its safety margins applied
      * @param {Object} calendar - Calendar object
-     * @returns {boolean}
+     * @returns {Array<Object>}
      */
-    isCalendarComplete(calendar) {
-        if (!calendar) return false;
-        if (!calendar.name || !calendar.year) return false;
-        if (!Array.isArray(calendar.days)) return false;
-        if (calendar.days.length !== 29 && calendar.days.length !== 30) return false;
-        
-        // Check each day has required fields
-        return calendar.days.every(day => 
-            day.date && day.saharTime && day.iftarTime
-        );
+    getAdjustedDays(calendar) {
+        return (calendar.days || []).map(day => applyIhtiyat(day, calendar.ihtiyat));
     }
 
     /**
-     * Get today's fasting data from active calendar
-     * @returns {Promise<Object|null>} - Today's day data or null
+     * Get the real instants of a day's events in the calendar's timezone:
+     * Sahar and Iftar, the prayers the day has times for (an Isha earlier
+     * than Iftar is after midnight), Taraweeh (Isha plus an offset) and
+     * Tahajjud (start of the last third of the night after this day's Iftar,
+     * up to the next day's Sahar)
+     * @param {Object} calendar - Calendar object
+     * @param {Object} day - Day entry ({ date, saharTime, iftarTime, prayers })
+     * @param {Object} options - { taraweehOffset } minutes after Isha (default 0)
+     * @returns {Object} - { sahar: Date, iftar: Date, fajr?, dhuhr?, asr?, maghrib?, isha?, taraweeh?, tahajjud: Date }
      */
-    async getTodayData() {
-        const calendar = await this.getActiveCalendar();
-        if (!calendar || !calendar.days) return null;
+    getDayEventTimes(calendar, day, options = {}) {
+        const timezone = calendar.timezone;
+        const nextDate = addDaysToIsoDate(day.date, 1);
+        const times = {
+            sahar: zonedDateTime(day.date, day.saharTime, timezone),
+            iftar: zonedDateTime(day.date, day.iftarTime, timezone)
+        };
 
-        const today = new Date();
-        const todayStr = `${String(today.getDate()).padStart(2, '0')}-${String(today.getMonth() + 1).padStart(2, '0')}`;
-        
-        return calendar.days.find(day => day.date === todayStr) || null;
+        Object.keys(PRAYER_NAMES).forEach(prayer => {
+            if (day.prayers && day.prayers[prayer]) {
+                times[prayer] = zonedDateTime(day.date, day.prayers[prayer], timezone);
+            }
+        });
+
+        // Near the poles Isha can fall after midnight, i.e. on the next date
+        if (times.isha && times.isha < times.iftar) {
+            times.isha = zonedDateTime(nextDate, day.prayers.isha, timezone);
+        }
+
+        if (times.isha) {
+            times.taraweeh = new Date(times.isha.getTime() + (options.taraweehOffset || 0) * 60000);
+        }
+
+        // The night runs between the published times; the last day borrows its own Sahar for the next morning
+        const nextDay = (calendar.days || []).find(d => d.date === nextDate);
+        const nightStart = zonedDateTime(day.date, day.publishedIftarTime || day.iftarTime, timezone);
+        const nightEnd = zonedDateTime(nextDate, nextDay ? nextDay.saharTime : (day.publishedSaharTime || day.saharTime), timezone);
+        times.tahajjud = new Date(nightStart.getTime() + (nightEnd - nightStart) * 2 / 3);
+
+        return times;
     }
 
     /**
@@ -271,7 +2324,7 @@ class RamadanDB {
             const month = 3; // March
             
             days.push({
-                date: `${String(dayOfMonth).padStart(2, '0')}-${String(month).padStart(2, '0')}`,
+                date: `${currentYear}-${String(month).padStart(2, '0')}-${String(dayOfMonth).padStart(2, '0')}`,
                 saharTime: `${String(saharHour).padStart(2, '0')}:${String(Math.abs(saharMinute)).padStart(2, '0')}`,
                 iftarTime: `${String(iftarHour).padStart(2, '0')}:${String(iftarMinute).padStart(2, '0')}`
             });
@@ -292,28 +2345,103 @@ class RamadanDB {
      * @returns {Promise<boolean>}
      */
     async shouldCreateSample() {
-        const calendars = await this.getAllCalendars();
+        const calendars = await this.getAllCalendars({ includeDeleted: true });
         return calendars.length === 0;
     }
 
     /**
-     * Clear all data (for testing/debugging)
-     * @returns {Promise<void>}
+     * Clear all data: move every calendar to the trash, reset settings and
+     * empty the alarm log. The Qada ledger is kept, as it spans years.
+     * The previous settings and log are kept so the whole operation can be undone.
+     * @returns {Promise<string>} - Batch ID to pass to undoClearAll
      */
     async clearAll() {
         await this.init();
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.STORE_NAME], 'readwrite');
-            const store = transaction.objectStore(this.STORE_NAME);
-            const request = store.clear();
+        const batch = new Date().toISOString();
+        const calendars = await this.getAllCalendars();
+        for (const calendar of calendars) {
+            await this.deleteCalendar(calendar.id, { batch });
+        }
 
-            request.onsuccess = () => {
-                localStorage.removeItem(this.ACTIVE_KEY);
-                resolve();
-            };
+        const records = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.SETTINGS_STORE], 'readonly');
+            const request = transaction.objectStore(this.SETTINGS_STORE).getAll();
+
+            request.onsuccess = () => resolve(request.result);
             request.onerror = () => reject(request.error);
         });
+
+        const cleared = records.filter(record => !PRESERVED_SETTING_KEYS.includes(record.key));
+        const alarmLog = await this.emptyStore(this.ALARM_LOG_STORE);
+        await this.setSetting('clearedSettings', { batch, records: cleared, alarmLog });
+
+        for (const record of cleared) {
+            await this.removeSetting(record.key);
+        }
+        this.notifyAlarmLogChange();
+
+        return batch;
+    }
+
+    /**
+     * Undo clearAll: restore the calendars, settings and alarm log it removed
+     * @param {string} batch - Batch ID returned by clearAll
+     * @returns {Promise<void>}
+     */
+    async undoClearAll(batch) {
+        const deleted = await this.getDeletedCalendars();
+        for (const calendar of deleted.filter(cal => cal.deletedBatch === batch)) {
+            await this.restoreCalendar(calendar.id);
+        }
+
+        const cleared = await this.getSetting('clearedSettings');
+        if (cleared && cleared.batch === batch) {
+            for (const record of cleared.records) {
+                await this.setSetting(record.key, record.value);
+            }
+            await this.putRecords(this.ALARM_LOG_STORE, cleared.alarmLog || []);
+            await this.removeSetting('clearedSettings');
+            this.notifyAlarmLogChange();
+        }
+    }
+
+    /**
+     * Remove every record from a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<Array>} - The records removed
+     */
+    async emptyStore(storeName) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            const request = store.getAll();
+
+            request.onsuccess = () => store.clear();
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Put records back into a store under their original IDs
+     * @param {string} storeName - Object store name
+     * @param {Array} records - Records as returned by emptyStore
+     * @returns {Promise<void>}
+     */
+    async putRecords(storeName, records) {
+        await this.init();
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            records.forEach(record => store.put(record));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
     }
 }
 
@@ -1,11 +1,36 @@
 /**
  * RamadanReady - File Handler
- * Handles import/export of calendar JSON files
+ * Handles import/export of calendar JSON files, CSV/TSV timetables and
+ * timetables pasted as text
  */
 
 // Store pending import data
 let pendingImportData = null;
 
+// CSV/TSV timetable waiting for its column mapping ({ rows, delimiter, name })
+let pendingCsvImport = null;
+
+// Pasted lines that couldn't be read, listed in the preview ({ line, text, reason })
+let pendingImportProblems = [];
+
+// Imported calendars that match saved ones, waiting for a choice (see findImportConflicts)
+let pendingImportConflicts = [];
+
+// What can happen to an imported calendar that matches a saved one
+const IMPORT_CONFLICT_CHOICES = {
+    merge: 'Merge the ticked days into my calendar',
+    replace: 'Replace my calendar with the imported one',
+    keep: 'Keep both (the import gets a new name)'
+};
+
+// How delimiters are named in the column mapping step
+const CSV_DELIMITER_NAMES = {
+    ',': 'Comma-separated',
+    '\t': 'Tab-separated',
+    ';': 'Semicolon-separated',
+    '|': 'Pipe-separated'
+};
+
 /**
  * Export the active calendar as JSON
  */
@@ -26,7 +51,106 @@ async function exportActiveCalendar() {
 }
 
 /**
- * Export all calendars as JSON
+ * Export the active calendar as a CSV timetable for spreadsheets
+ */
+async function exportActiveCalendarCsv() {
+    try {
+        const calendar = await ramadanDB.getActiveCalendar();
+        
+        if (!calendar) {
+            showToast('No active calendar to export', 'error');
+            return;
+        }
+        
+        const filename = `ramadan-calendar-${calendar.year}-${sanitizeFilename(calendar.name)}.csv`;
+        downloadFile(buildCalendarCsv(calendar), filename, 'text/csv');
+        showToast(`Exported: ${calendar.name}`, 'success');
+    } catch (error) {
+        console.error('Export error:', error);
+        showToast('Failed to export calendar', 'error');
+    }
+}
+
+/**
+ * Build the active calendar's .ics file with the options chosen on the Import/Export screen
+ * @returns {Promise<Object|null>} - { calendar, content, filename }, null (after a toast) without an active calendar
+ */
+async function buildActiveCalendarIcs() {
+    const calendar = await ramadanDB.getActiveCalendar();
+    
+    if (!calendar) {
+        showToast('No active calendar to export', 'error');
+        return null;
+    }
+    
+    const settings = await ramadanDB.getAlarmSettings();
+    const content = buildIcsCalendar(calendar, {
+        style: document.getElementById('ics-style').value,
+        reminders: document.getElementById('ics-reminders').checked
+            ? settings.reminders.filter(reminder => reminder.enabled)
+            : []
+    });
+    
+    return {
+        calendar,
+        content,
+        filename: `ramadan-calendar-${calendar.year}-${sanitizeFilename(calendar.name)}.ics`
+    };
+}
+
+/**
+ * Export the active calendar as an .ics file for phone calendars
+ */
+async function exportActiveCalendarIcs() {
+    try {
+        const ics = await buildActiveCalendarIcs();
+        if (!ics) return;
+        
+        downloadFile(ics.content, ics.filename, 'text/calendar');
+        showToast(`Exported: ${ics.calendar.name}`, 'success');
+    } catch (error) {
+        console.error('Export error:', error);
+        showToast('Failed to export calendar', 'error');
+    }
+}
+
+/**
+ * Share the active calendar's .ics file using Web Share API, so it opens
+ * straight in a calendar app
+ */
+async function shareCalendarIcs() {
+    try {
+        const ics = await buildActiveCalendarIcs();
+        if (!ics) return;
+        
+        const file = new File([ics.content], ics.filename, { type: 'text/calendar' });
+        
+        // Check for Web Share API support
+        if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
+            await navigator.share({
+                title: `Ramadan Calendar: ${ics.calendar.name}`,
+                text: `Sahar and Iftar times for ${ics.calendar.year}`,
+                files: [file]
+            });
+            showToast('Calendar shared', 'success');
+        } else {
+            // Fallback: download the file
+            downloadFile(ics.content, ics.filename, 'text/calendar');
+            showToast('File downloaded. Open it to add the events to your calendar.', 'info');
+        }
+        
+    } catch (error) {
+        console.error('Share error:', error);
+        
+        // If user cancelled, don't show error
+        if (error.name === 'AbortError') return;
+        
+        showToast('Failed to share calendar', 'error');
+    }
+}
+
+/**
+ * Export all calendars as JSON, including each calendar's fasting log
  */
 async function exportAllCalendars() {
     try {
@@ -37,6 +161,16 @@ async function exportAllCalendars() {
             return;
         }
         
+        for (const calendar of calendars) {
+            calendar.days = buildExportDays(calendar);
+            const log = await ramadanDB.getFastingLog(calendar.id);
+            calendar.fastingLog = log.map(entry => ({
+                date: entry.date,
+                status: entry.status,
+                reason: entry.reason
+            }));
+        }
+        
         const exportData = {
             exportDate: new Date().toISOString(),
             appVersion: '1.0',
@@ -60,7 +194,10 @@ function exportCalendar(calendar) {
     const exportData = {
         name: calendar.name,
         year: calendar.year,
-        days: calendar.days,
+        timezone: calendar.timezone,
+        ihtiyat: calendar.ihtiyat,
+        alarmOverrides: calendar.alarmOverrides,
+        days: buildExportDays(calendar),
         exportedAt: new Date().toISOString(),
         appVersion: '1.0'
     };
@@ -70,13 +207,112 @@ function exportCalendar(calendar) {
     showToast(`Exported: ${calendar.name}`, 'success');
 }
 
+/**
+ * Days for an export file: the published times, plus the times after the
+ * calendar's safety margins when it has any. Import reads only the published
+ * times and re-applies the margins from the calendar's ihtiyat rules.
+ * @param {Object} calendar - Calendar to export
+ * @returns {Array<Object>}
+ */
+function buildExportDays(calendar) {
+    const withMargins = hasIhtiyat(calendar.ihtiyat);
+    
+    return ramadanDB.getAdjustedDays(calendar).map(day => {
+        const exported = {
+            date: day.date,
+            saharTime: day.publishedSaharTime,
+            iftarTime: day.publishedIftarTime
+        };
+        if (withMargins) {
+            exported.adjustedSaharTime = day.saharTime;
+            exported.adjustedIftarTime = day.iftarTime;
+        }
+        if (day.prayers) {
+            exported.prayers = day.prayers;
+        }
+        if (day.skipAlarms) {
+            exported.skipAlarms = true;
+        }
+        return exported;
+    });
+}
+
+/**
+ * A calendar as CSV: the published times (the columns CSV import reads),
+ * the times after safety margins when the calendar has any, and the prayer
+ * times the calendar has
+ * @param {Object} calendar - Calendar to export
+ * @returns {string}
+ */
+function buildCalendarCsv(calendar) {
+    const days = buildExportDays(calendar);
+    const withMargins = hasIhtiyat(calendar.ihtiyat);
+    const prayers = Object.keys(PRAYER_NAMES).filter(prayer => days.some(day => day.prayers && day.prayers[prayer]));
+    
+    const header = [
+        'Date', 'Sahar', 'Iftar',
+        ...(withMargins ? ['Sahar (with margin)', 'Iftar (with margin)'] : []),
+        ...prayers.map(prayer => PRAYER_NAMES[prayer])
+    ];
+    const rows = days.map(day => [
+        day.date, day.saharTime, day.iftarTime,
+        ...(withMargins ? [day.adjustedSaharTime, day.adjustedIftarTime] : []),
+        ...prayers.map(prayer => (day.prayers && day.prayers[prayer]) || '')
+    ]);
+    
+    return formatDelimited([header, ...rows]);
+}
+
+/**
+ * Export the alarm log with the current alarm setup, to attach to a bug report
+ */
+async function exportAlarmLog() {
+    try {
+        const entries = await ramadanDB.getAlarmLog();
+        
+        if (entries.length === 0) {
+            showToast('The alarm log is empty', 'error');
+            return;
+        }
+        
+        const stored = await ramadanDB.getNextAlarmData();
+        const exportData = {
+            exportDate: new Date().toISOString(),
+            appVersion: '1.0',
+            userAgent: navigator.userAgent,
+            timezone: getDeviceTimezone(),
+            permission: getNotificationPermission(),
+            mechanism: stored?.mechanism || null,
+            alarmSettings: await ramadanDB.getAlarmSettings(),
+            queue: stored?.alarms || [],
+            entries
+        };
+        
+        downloadJson(exportData, `ramadan-alarm-log-${toIsoDate(new Date())}.json`);
+        showToast(`Exported ${entries.length} log entries`, 'success');
+    } catch (error) {
+        console.error('Export error:', error);
+        showToast('Failed to export the alarm log', 'error');
+    }
+}
+
 /**
  * Download JSON data as file
  * @param {Object} data - Data to download
  * @param {string} filename - Filename for download
  */
 function downloadJson(data, filename) {
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+}
+
+/**
+ * Download text as a file
+ * @param {string} content - File content
+ * @param {string} filename - Filename for download
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     
     const link = document.createElement('a');
@@ -106,6 +342,14 @@ async function handleFileSelect(event) {
     
     try {
         const text = await readFile(file);
+        
+        // Spreadsheet timetables go through the column mapping step first
+        if (/\.(csv|tsv|txt)$/i.test(file.name) || !/^\s*[[{]/.test(text)) {
+            startCsvImport(text, file.name);
+            event.target.value = '';
+            return;
+        }
+        
         const data = JSON.parse(text);
         
         // Validate the data
@@ -118,13 +362,16 @@ async function handleFileSelect(event) {
             return;
         }
         
+        hideCsvMapping();
         pendingImportData = data;
+        pendingImportProblems = [];
         showImportPreview(data, validation.type);
         
     } catch (error) {
         console.error('Import error:', error);
         showToast('Failed to read file: ' + error.message, 'error');
         pendingImportData = null;
+        hideCsvMapping();
         hideImportPreview();
     }
     
@@ -132,6 +379,179 @@ async function handleFileSelect(event) {
     event.target.value = '';
 }
 
+/**
+ * Read a CSV/TSV timetable and show the column mapping step
+ * @param {string} text - File content
+ * @param {string} fileName - Used as the calendar name
+ */
+function startCsvImport(text, fileName) {
+    const { delimiter, rows } = parseDelimited(text);
+    if (rows.length < 2) {
+        throw new Error('No timetable rows found');
+    }
+    
+    pendingImportData = null;
+    document.getElementById('import-preview').classList.add('hidden');
+    hideImportConflicts();
+    pendingCsvImport = { rows, delimiter, name: fileName.replace(/\.[^.]+$/, '') };
+    
+    const year = new Date().getFullYear();
+    renderCsvMapping(guessCsvMapping(rows, year), year);
+}
+
+/**
+ * Show the column mapping step for the pending timetable
+ * @param {Object} mapping - Columns to preselect (as from guessCsvMapping)
+ * @param {number} year - Year for dates written without one
+ */
+function renderCsvMapping(mapping, year) {
+    const { rows, delimiter, name } = pendingCsvImport;
+    const width = Math.max(...rows.map(row => row.length));
+    const columns = Array.from({ length: width }, (_, index) => {
+        const sample = mapping.header ? rows[0][index] : rows[0][index] || '';
+        return `Column ${index + 1}${sample ? `: ${sample}` : ''}`;
+    });
+    
+    const columnSelect = (id, label, selected, optional = false) => `
+        <div class="form-group">
+            <label for="${id}">${label}</label>
+            <select id="${id}">
+                ${optional ? `<option value="-1">—</option>` : ''}
+                ${columns.map((column, index) => 
+                    `<option value="${index}" ${index === selected ? 'selected' : ''}>${escapeHtml(column)}</option>`
+                ).join('')}
+            </select>
+        </div>
+    `;
+    
+    const container = document.getElementById('csv-mapping');
+    container.innerHTML = `
+        <h4>Match the columns</h4>
+        <p class="generator-hint">${CSV_DELIMITER_NAMES[delimiter]}, ${rows.length} rows. Iftar times without AM/PM are read as afternoon times.</p>
+        
+        <label class="prayer-columns-toggle">
+            <input type="checkbox" id="csv-header" ${mapping.header ? 'checked' : ''}>
+            First row is a header
+        </label>
+        
+        <div class="form-row">
+            ${columnSelect('csv-date', 'Date', mapping.date)}
+            <div class="form-group">
+                <label for="csv-date-format">Date format</label>
+                <select id="csv-date-format">
+                    ${Object.entries(CSV_DATE_FORMATS).map(([format, label]) => 
+                        `<option value="${format}">${label}</option>`
+                    ).join('')}
+                </select>
+            </div>
+        </div>
+        
+        <div class="form-row">
+            ${columnSelect('csv-sahar', 'Sahar ends', mapping.sahar)}
+            ${columnSelect('csv-iftar', 'Iftar begins', mapping.iftar)}
+        </div>
+        
+        <details class="generator-panel" ${Object.values(mapping.prayers).some(index => index >= 0) ? 'open' : ''}>
+            <summary>Prayer times (optional)</summary>
+            <div class="form-row">
+                ${Object.entries(PRAYER_NAMES).map(([prayer, label]) => 
+                    columnSelect(`csv-${prayer}`, label, mapping.prayers[prayer], true)
+                ).join('')}
+            </div>
+        </details>
+        
+        <div class="form-row">
+            <div class="form-group">
+                <label for="csv-name">Calendar name</label>
+                <input type="text" id="csv-name" value="${escapeHtml(name)}">
+            </div>
+            <div class="form-group">
+                <label for="csv-year">Year (for dates without one)</label>
+                <input type="number" id="csv-year" min="2020" max="2100" value="${year}">
+            </div>
+        </div>
+        
+        <div class="form-group">
+            <label for="csv-timezone">Timezone</label>
+            <input type="text" id="csv-timezone" value="${escapeHtml(getDeviceTimezone())}">
+        </div>
+        
+        <div class="days-table-container">
+            <table class="days-table">
+                <tbody>
+                    ${rows.slice(0, 6).map(row => `
+                        <tr>${Array.from({ length: width }, (_, index) => `<td>${escapeHtml(row[index] || '')}</td>`).join('')}</tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        
+        <button class="btn-primary" onclick="applyCsvMapping()">Continue</button>
+        <button class="btn-secondary" onclick="cancelImport()">Cancel</button>
+    `;
+    container.classList.remove('hidden');
+}
+
+/**
+ * Build a calendar from the timetable with the chosen columns, and preview it
+ * like a JSON import
+ */
+function applyCsvMapping() {
+    if (!pendingCsvImport) return;
+    
+    const column = (id) => parseInt(document.getElementById(id).value, 10);
+    const mapping = {
+        header: document.getElementById('csv-header').checked,
+        date: column('csv-date'),
+        sahar: column('csv-sahar'),
+        iftar: column('csv-iftar'),
+        prayers: {}
+    };
+    Object.keys(PRAYER_NAMES).forEach(prayer => {
+        mapping.prayers[prayer] = column(`csv-${prayer}`);
+    });
+    const year = parseInt(document.getElementById('csv-year').value, 10) || new Date().getFullYear();
+    
+    try {
+        const days = buildCsvDays(pendingCsvImport.rows, mapping, {
+            dateFormat: document.getElementById('csv-date-format').value,
+            year
+        });
+        const calendar = {
+            name: document.getElementById('csv-name').value.trim() || pendingCsvImport.name,
+            year: days.length > 0 ? Number(days[0].date.slice(0, 4)) : year,
+            timezone: document.getElementById('csv-timezone').value.trim(),
+            days
+        };
+        
+        const validation = validateSingleCalendar(calendar);
+        if (!validation.valid) {
+            showToast(validation.error, 'error');
+            return;
+        }
+        
+        pendingImportData = calendar;
+        pendingImportProblems = [];
+        hideCsvMapping();
+        showImportPreview(calendar, validation.type);
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Hide the column mapping step and forget the timetable
+ */
+function hideCsvMapping() {
+    pendingCsvImport = null;
+    
+    const container = document.getElementById('csv-mapping');
+    if (container) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+    }
+}
+
 /**
  * Read file content
  * @param {File} file - File to read
@@ -192,6 +612,10 @@ function validateSingleCalendar(calendar, index = null) {
         return { valid: false, error: `${prefix}Missing or invalid year` };
     }
     
+    if (calendar.timezone !== undefined && !isValidTimezone(calendar.timezone)) {
+        return { valid: false, error: `${prefix}Unknown timezone "${calendar.timezone}"` };
+    }
+    
     if (!Array.isArray(calendar.days)) {
         return { valid: false, error: `${prefix}Missing days array` };
     }
@@ -201,8 +625,6 @@ function validateSingleCalendar(calendar, index = null) {
     }
     
     // Validate each day
-    const dates = new Set();
-    
     for (let i = 0; i < calendar.days.length; i++) {
         const day = calendar.days[i];
         const dayPrefix = `${prefix}Day ${i + 1}: `;
@@ -220,9 +642,9 @@ function validateSingleCalendar(calendar, index = null) {
             return { valid: false, error: `${dayPrefix}Missing Iftar time` };
         }
         
-        // Validate date format (DD-MM)
+        // Validate date format (YYYY-MM-DD, or legacy DD-MM)
         if (!isValidDate(day.date)) {
-            return { valid: false, error: `${dayPrefix}Invalid date format: ${day.date}. Use DD-MM` };
+            return { valid: false, error: `${dayPrefix}Invalid date format: ${day.date}. Use YYYY-MM-DD` };
         }
         
         // Validate time formats (HH:MM)
@@ -234,29 +656,52 @@ function validateSingleCalendar(calendar, index = null) {
             return { valid: false, error: `${dayPrefix}Invalid Iftar time: ${day.iftarTime}. Use HH:MM (24-hour)` };
         }
         
-        // Check for duplicate dates
-        if (dates.has(day.date)) {
-            return { valid: false, error: `${dayPrefix}Duplicate date: ${day.date}` };
+        // Prayer times are optional, but must be HH:MM when given
+        if (day.prayers !== undefined) {
+            if (!day.prayers || typeof day.prayers !== 'object') {
+                return { valid: false, error: `${dayPrefix}Prayer times must be an object` };
+            }
+            for (const [prayer, time] of Object.entries(day.prayers)) {
+                if (!(prayer in PRAYER_NAMES)) {
+                    return { valid: false, error: `${dayPrefix}Unknown prayer: ${prayer}` };
+                }
+                if (!isValidTime(time)) {
+                    return { valid: false, error: `${dayPrefix}Invalid ${PRAYER_NAMES[prayer]} time: ${time}. Use HH:MM (24-hour)` };
+                }
+            }
+        }
+    }
+    
+    // Check for duplicate dates once legacy dates have their year
+    const dates = new Set();
+    const normalizedDays = normalizeDayDates(calendar.days, calendar.year);
+    for (let i = 0; i < normalizedDays.length; i++) {
+        if (dates.has(normalizedDays[i].date)) {
+            return { valid: false, error: `${prefix}Day ${i + 1}: Duplicate date: ${calendar.days[i].date}` };
         }
-        dates.add(day.date);
+        dates.add(normalizedDays[i].date);
     }
     
     return { valid: true, type: 'single', count: 1 };
 }
 
 /**
- * Validate date format (DD-MM)
+ * Validate date format (YYYY-MM-DD, or legacy DD-MM from v1 exports)
  * @param {string} dateStr - Date string to validate
  * @returns {boolean}
  */
 function isValidDate(dateStr) {
-    const regex = /^(0[1-9]|[12][0-9]|3[01])-(0[1-9]|1[0-2])$/;
-    if (!regex.test(dateStr)) return false;
+    const legacyRegex = /^(0[1-9]|[12][0-9]|3[01])-(0[1-9]|1[0-2])$/;
+    if (legacyRegex.test(dateStr)) return true;
     
-    const [day, month] = dateStr.split('-').map(Number);
+    const isoRegex = /^(\d{4})-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])$/;
+    const match = isoRegex.exec(dateStr);
+    if (!match) return false;
     
-    // Basic validation (doesn't account for month lengths perfectly)
-    return day >= 1 && day <= 31 && month >= 1 && month <= 12;
+    // Reject dates that don't exist, e.g. 2026-02-30
+    const [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
 }
 
 /**
@@ -280,6 +725,7 @@ function isValidTime(timeStr) {
 function showImportPreview(data, type) {
     const previewContainer = document.getElementById('import-preview');
     const previewContent = document.getElementById('preview-content');
+    hideImportConflicts();
     
     let html = '';
     
@@ -293,10 +739,51 @@ function showImportPreview(data, type) {
             </ul>
         `;
     } else {
+        const validation = validateSingleCalendar(data);
         html = `
             <p><strong>Calendar:</strong> ${escapeHtml(data.name)}</p>
             <p><strong>Year:</strong> ${data.year}</p>
+            ${data.timezone ? `<p><strong>Timezone:</strong> ${escapeHtml(data.timezone)}</p>` : ''}
             <p><strong>Days:</strong> ${data.days.length}</p>
+            ${validation.valid ? '' : `<p class="import-problem">${escapeHtml(validation.error)}</p>`}
+            
+            ${pendingImportProblems.length > 0 ? `
+                <p><strong>${pendingImportProblems.length} line(s) not understood</strong> (add them below by hand):</p>
+                <ul class="import-problems">
+                    ${pendingImportProblems.map(problem => `
+                        <li>Line ${problem.line}: <code>${escapeHtml(problem.text)}</code> - ${escapeHtml(problem.reason)}</li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            
+            <details class="generator-panel" ${validation.valid && pendingImportProblems.length === 0 ? '' : 'open'}>
+                <summary>Check and correct days</summary>
+                <div class="days-table-container">
+                    <table class="days-table">
+                        <thead>
+                            <tr>
+                                <th>Day</th>
+                                <th>Date</th>
+                                <th>Sahar</th>
+                                <th>Iftar</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${data.days.map((day, index) => `
+                                <tr>
+                                    <td>${index + 1}</td>
+                                    <td><input type="date" value="${escapeHtml(day.date)}" onchange="updatePreviewDay(${index}, 'date', this.value)"></td>
+                                    <td><input type="time" value="${escapeHtml(day.saharTime)}" onchange="updatePreviewDay(${index}, 'saharTime', this.value)"></td>
+                                    <td><input type="time" value="${escapeHtml(day.iftarTime)}" onchange="updatePreviewDay(${index}, 'iftarTime', this.value)"></td>
+                                    <td><button class="btn-icon btn-danger" onclick="removePreviewDay(${index})" title="Remove">✕</button></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <button class="btn-secondary" onclick="addPreviewDay()">+ Add Day</button>
+            </details>
         `;
     }
     
@@ -304,6 +791,95 @@ function showImportPreview(data, type) {
     previewContainer.classList.remove('hidden');
 }
 
+/**
+ * Correct one field of a day in the pending single-calendar import
+ * @param {number} index - Day index
+ * @param {string} field - 'date', 'saharTime' or 'iftarTime'
+ * @param {string} value - New value
+ */
+function updatePreviewDay(index, field, value) {
+    const calendar = pendingImportData;
+    if (!calendar || !calendar.days[index]) return;
+    
+    calendar.days[index][field] = value;
+    if (field === 'date') {
+        calendar.days.sort((a, b) => a.date.localeCompare(b.date));
+        if (/^\d{4}-/.test(calendar.days[0].date)) {
+            calendar.year = Number(calendar.days[0].date.slice(0, 4));
+        }
+    }
+    
+    showImportPreview(calendar, 'single');
+}
+
+/**
+ * Drop a day from the pending single-calendar import
+ * @param {number} index - Day index
+ */
+function removePreviewDay(index) {
+    if (!pendingImportData) return;
+    
+    pendingImportData.days.splice(index, 1);
+    showImportPreview(pendingImportData, 'single');
+}
+
+/**
+ * Add a day after the last one of the pending single-calendar import, with its
+ * times copied from that day to correct
+ */
+function addPreviewDay() {
+    const calendar = pendingImportData;
+    if (!calendar) return;
+    
+    const last = calendar.days[calendar.days.length - 1];
+    calendar.days.push(last && isValidDate(last.date) && /^\d{4}-/.test(last.date)
+        ? { date: addDaysToIsoDate(last.date, 1), saharTime: last.saharTime, iftarTime: last.iftarTime }
+        : { date: '', saharTime: '', iftarTime: '' });
+    showImportPreview(calendar, 'single');
+}
+
+/**
+ * Read the pasted timetable and show it in the import preview, with the lines
+ * that couldn't be read
+ */
+function readPastedTimetable() {
+    const text = document.getElementById('text-import-input').value;
+    const firstDay = document.getElementById('text-import-first-day').value;
+    const year = firstDay ? Number(firstDay.slice(0, 4)) : new Date().getFullYear();
+    
+    const { days, problems } = parseTimetableText(text, { year, firstDay });
+    if (days.length === 0) {
+        showToast(problems.length > 0 ? `No days could be read: line ${problems[0].line}: ${problems[0].reason}` : 'Paste a timetable first', 'error');
+        return;
+    }
+    
+    hideCsvMapping();
+    pendingImportData = {
+        name: document.getElementById('text-import-name').value.trim() || 'Pasted timetable',
+        year: Number(days[0].date.slice(0, 4)),
+        timezone: document.getElementById('text-import-timezone').value.trim(),
+        days
+    };
+    pendingImportProblems = problems;
+    showImportPreview(pendingImportData, 'single');
+    document.getElementById('import-preview').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Fill the first day of Ramadan for pasted timetables that only number the days:
+ * this year's, or next year's once it has passed
+ */
+async function prefillTextImportFirstDay() {
+    const input = document.getElementById('text-import-first-day');
+    if (!input || input.value) return;
+    
+    const hijriSettings = await ramadanDB.getHijriSettings();
+    const year = new Date().getFullYear();
+    const dates = getRamadanDates(year, hijriSettings);
+    const ended = dates[dates.length - 1] < new Date(new Date().setHours(0, 0, 0, 0));
+    input.value = toIsoDate(ended ? getRamadanStart(year + 1, hijriSettings) : dates[0]);
+}
+
 /**
  * Hide import preview
  */
@@ -320,11 +896,15 @@ function hideImportPreview() {
  */
 function cancelImport() {
     pendingImportData = null;
+    pendingImportProblems = [];
+    hideCsvMapping();
+    hideImportConflicts();
     hideImportPreview();
 }
 
 /**
- * Confirm and execute import
+ * Confirm and execute import. Calendars that match saved ones go through the
+ * conflict step first.
  */
 async function confirmImport() {
     if (!pendingImportData) {
@@ -332,28 +912,161 @@ async function confirmImport() {
         return;
     }
     
+    // Days may have been corrected in the preview since the file was checked
+    const validation = validateImportData(pendingImportData);
+    if (!validation.valid) {
+        showToast(validation.error, 'error');
+        return;
+    }
+    
     try {
-        let importCount = 0;
+        const calendars = getPendingImportCalendars();
+        pendingImportConflicts = await findImportConflicts(calendars);
         
-        if (pendingImportData.calendars && Array.isArray(pendingImportData.calendars)) {
-            // Multiple calendars
-            for (const calendar of pendingImportData.calendars) {
-                await importSingleCalendar(calendar);
-                importCount++;
-            }
-        } else {
-            // Single calendar
-            await importSingleCalendar(pendingImportData);
-            importCount++;
+        if (pendingImportConflicts.length > 0) {
+            document.getElementById('import-preview').classList.add('hidden');
+            renderImportConflicts();
+            return;
         }
         
-        showToast(`Imported ${importCount} calendar(s)`, 'success');
-        pendingImportData = null;
-        hideImportPreview();
+        await importCalendars(calendars, 'keep');
+        
+    } catch (error) {
+        console.error('Import error:', error);
+        showToast('Failed to import: ' + error.message, 'error');
+    }
+}
+
+/**
+ * The calendars in the pending import, one for a single-calendar file
+ * @returns {Array<Object>}
+ */
+function getPendingImportCalendars() {
+    return Array.isArray(pendingImportData.calendars) ? pendingImportData.calendars : [pendingImportData];
+}
+
+/**
+ * Find imported calendars that match saved ones, by name or else by the same
+ * first and last date, with their days compared by date
+ * @param {Array<Object>} calendars - Calendars being imported
+ * @returns {Promise<Array<Object>>} - { index, calendar, existing, reason, changes } (see diffDaysByDate)
+ */
+async function findImportConflicts(calendars) {
+    const saved = await ramadanDB.getAllCalendars();
+    const nameKey = (name) => name.trim().toLowerCase();
+    const range = (days) => days.length > 0 ? `${days[0].date}/${days[days.length - 1].date}` : null;
+    
+    return calendars.map((calendar, index) => {
+        const days = normalizeDayDates(calendar.days, calendar.year).sort((a, b) => a.date.localeCompare(b.date));
+        const sameName = saved.find(cal => nameKey(cal.name) === nameKey(calendar.name));
+        const existing = sameName || saved.find(cal => range(cal.days) === range(days));
+        if (!existing) return null;
         
-        // Refresh calendars list if on that screen
-        refreshCalendarsList();
+        return {
+            index,
+            calendar,
+            existing,
+            reason: sameName ? 'same name' : 'same dates',
+            changes: diffDaysByDate(existing.days, days)
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Show the conflict step: each matching calendar with the days that differ,
+ * and one choice for all of them
+ */
+function renderImportConflicts() {
+    const container = document.getElementById('import-conflicts');
+    const time = (change, field) => {
+        const day = change.to || change.from;
+        if (change.status !== 'changed' || !change.fields.includes(field)) return escapeHtml(day[field]);
+        return `<del>${escapeHtml(change.from[field])}</del> → <ins>${escapeHtml(change.to[field])}</ins>`;
+    };
+    const note = (change) => {
+        if (change.status === 'added') return 'New';
+        if (change.status === 'removed') return 'Only in yours, kept by Merge';
+        return change.fields.includes('prayers') ? 'Prayer times differ' : '';
+    };
+    
+    container.innerHTML = `
+        <h4>Already in your calendars</h4>
+        <p class="generator-hint">${pendingImportConflicts.length === 1 ? 'This calendar matches one' : `${pendingImportConflicts.length} calendars match ones`} you already have. The choice below applies to all of them; calendars without a match are added as usual.</p>
+        
+        ${pendingImportConflicts.map(conflict => {
+            const count = (status) => conflict.changes.filter(change => change.status === status).length;
+            return `
+                <div class="import-conflict">
+                    <p><strong>${escapeHtml(conflict.calendar.name)}</strong> matches <strong>${escapeHtml(conflict.existing.name)}</strong> (${conflict.reason}): ${count('changed')} day(s) with different times, ${count('added')} new, ${count('removed')} only in yours.</p>
+                    ${conflict.changes.length === 0 ? '<p class="generator-hint">Every day has the same times.</p>' : `
+                        <div class="days-table-container">
+                            <table class="days-table">
+                                <thead>
+                                    <tr>
+                                        <th>Merge</th>
+                                        <th>Date</th>
+                                        <th>Sahar</th>
+                                        <th>Iftar</th>
+                                        <th></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${conflict.changes.map(change => `
+                                        <tr class="import-change ${change.status}">
+                                            <td>${change.to ? `<input type="checkbox" class="import-merge-day" data-index="${conflict.index}" data-date="${change.date}" checked aria-label="Merge ${change.date}">` : ''}</td>
+                                            <td>${change.date}</td>
+                                            <td>${time(change, 'saharTime')}</td>
+                                            <td>${time(change, 'iftarTime')}</td>
+                                            <td>${note(change)}</td>
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    `}
+                </div>
+            `;
+        }).join('')}
+        
+        <div class="form-group import-conflict-choices">
+            ${Object.entries(IMPORT_CONFLICT_CHOICES).map(([choice, label], i) => `
+                <label class="prayer-columns-toggle">
+                    <input type="radio" name="import-conflict-choice" value="${choice}" ${i === 0 ? 'checked' : ''}>
+                    ${label}
+                </label>
+            `).join('')}
+        </div>
         
+        <button class="btn-primary" onclick="applyImportConflictChoice()">Import</button>
+        <button class="btn-secondary" onclick="cancelImport()">Cancel</button>
+    `;
+    container.classList.remove('hidden');
+}
+
+/**
+ * Import with the choice made in the conflict step
+ */
+async function applyImportConflictChoice() {
+    const choice = document.querySelector('input[name="import-conflict-choice"]:checked').value;
+    const selected = new Map();
+    document.querySelectorAll('.import-merge-day:checked').forEach(box => {
+        const index = Number(box.dataset.index);
+        selected.set(index, [...(selected.get(index) || []), box.dataset.date]);
+    });
+    
+    // Check every merge before saving any, so a bad one doesn't leave the import half done
+    if (choice === 'merge') {
+        for (const conflict of pendingImportConflicts) {
+            const days = buildMergedDays(conflict, selected.get(conflict.index) || []);
+            if (days.length > 30) {
+                showToast(`${conflict.existing.name} would have ${days.length} days; untick some new days`, 'error');
+                return;
+            }
+        }
+    }
+    
+    try {
+        await importCalendars(getPendingImportCalendars(), choice, selected);
     } catch (error) {
         console.error('Import error:', error);
         showToast('Failed to import: ' + error.message, 'error');
@@ -361,7 +1074,101 @@ async function confirmImport() {
 }
 
 /**
- * Import a single calendar
+ * Import calendars, resolving the pending conflicts with one choice
+ * @param {Array<Object>} calendars - Calendars being imported
+ * @param {string} choice - Key of IMPORT_CONFLICT_CHOICES
+ * @param {Map<number, Array<string>>} selected - Dates ticked for merging, by calendar index
+ */
+async function importCalendars(calendars, choice, selected = new Map()) {
+    const counts = { imported: 0, replaced: 0, merged: 0 };
+    
+    for (const [index, calendar] of calendars.entries()) {
+        const conflict = pendingImportConflicts.find(entry => entry.index === index);
+        
+        if (!conflict || choice === 'keep') {
+            await importSingleCalendar(calendar);
+            counts.imported++;
+        } else if (choice === 'replace') {
+            await replaceCalendarFromImport(conflict.existing.id, calendar);
+            counts.replaced++;
+        } else {
+            const dates = selected.get(index) || [];
+            await ramadanDB.updateCalendar(conflict.existing.id, { days: buildMergedDays(conflict, dates) }, { source: 'import' });
+            await restoreFastingLog(conflict.existing.id, calendar.fastingLog, dates);
+            counts.merged++;
+        }
+    }
+    
+    const summary = Object.entries(counts)
+        .filter(([, count]) => count > 0)
+        .map(([action, count]) => `${action} ${count}`)
+        .join(', ');
+    showToast(`${summary.charAt(0).toUpperCase()}${summary.slice(1)} calendar(s)`, 'success');
+    
+    pendingImportData = null;
+    pendingImportProblems = [];
+    hideImportConflicts();
+    hideImportPreview();
+    
+    // Refresh calendars list if on that screen
+    refreshCalendarsList();
+}
+
+/**
+ * Days of a saved calendar with the ticked days taken from the imported version.
+ * Days only in the saved calendar stay, and so does its Skip Alarms flag.
+ * @param {Object} conflict - From findImportConflicts
+ * @param {Array<string>} dates - Dates to take from the imported version
+ * @returns {Array<Object>}
+ */
+function buildMergedDays(conflict, dates) {
+    const days = new Map(conflict.existing.days.map(day => [day.date, day]));
+    
+    conflict.changes.filter(change => change.to && dates.includes(change.date)).forEach(change => {
+        days.set(change.date, {
+            ...toImportDays([change.to])[0],
+            prayers: change.to.prayers || change.from?.prayers,
+            skipAlarms: change.from ? change.from.skipAlarms === true : change.to.skipAlarms === true
+        });
+    });
+    
+    return [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Replace a saved calendar's days with an imported version, keeping its name.
+ * The earlier days stay in its revision history.
+ * @param {number} id - Saved calendar ID
+ * @param {Object} calendarData - Imported calendar
+ */
+async function replaceCalendarFromImport(id, calendarData) {
+    const updates = {
+        year: calendarData.year,
+        days: toImportDays(normalizeDayDates(calendarData.days, calendarData.year))
+    };
+    ['timezone', 'ihtiyat', 'alarmOverrides'].forEach(field => {
+        if (calendarData[field]) updates[field] = calendarData[field];
+    });
+    
+    await ramadanDB.updateCalendar(id, updates, { source: 'import' });
+    await restoreFastingLog(id, calendarData.fastingLog);
+}
+
+/**
+ * Hide the conflict step
+ */
+function hideImportConflicts() {
+    pendingImportConflicts = [];
+    
+    const container = document.getElementById('import-conflicts');
+    if (container) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * Import a single calendar as a new one, renaming it when the name is taken
  * @param {Object} calendarData - Calendar data to import
  */
 async function importSingleCalendar(calendarData) {
@@ -380,14 +1187,50 @@ async function importSingleCalendar(calendarData) {
     const newCalendar = {
         name: name,
         year: calendarData.year,
-        days: calendarData.days.map(day => ({
-            date: day.date,
-            saharTime: day.saharTime,
-            iftarTime: day.iftarTime
-        }))
+        timezone: calendarData.timezone,
+        ihtiyat: calendarData.ihtiyat,
+        alarmOverrides: calendarData.alarmOverrides,
+        days: toImportDays(calendarData.days)
     };
     
-    await ramadanDB.createCalendar(newCalendar);
+    const id = await ramadanDB.createCalendar(newCalendar);
+    await restoreFastingLog(id, calendarData.fastingLog);
+}
+
+/**
+ * Copy the day fields an import keeps
+ * @param {Array<Object>} days - Imported days
+ * @returns {Array<Object>}
+ */
+function toImportDays(days) {
+    return days.map(day => ({
+        date: day.date,
+        saharTime: day.saharTime,
+        iftarTime: day.iftarTime,
+        prayers: day.prayers,
+        skipAlarms: day.skipAlarms === true
+    }));
+}
+
+/**
+ * Restore the fasting log from full backups, skipping entries that don't fit
+ * @param {number} id - Calendar ID
+ * @param {Array<Object>} fastingLog - Entries from the file ({ date, status, reason }), if any
+ * @param {Array<string>} dates - Only restore these dates (merges); all when omitted
+ */
+async function restoreFastingLog(id, fastingLog, dates = null) {
+    if (!Array.isArray(fastingLog)) return;
+    
+    const saved = await ramadanDB.getCalendar(id);
+    const calendarDates = new Set(saved.days.map(day => day.date));
+    for (const entry of fastingLog) {
+        if (!calendarDates.has(entry.date) || (dates && !dates.includes(entry.date))) continue;
+        try {
+            await ramadanDB.setFastingStatus(id, entry.date, entry.status, entry.reason);
+        } catch (error) {
+            console.warn('Skipping fasting log entry:', entry, error);
+        }
+    }
 }
 
 /**
@@ -407,7 +1250,10 @@ async function shareCalendar(calendarId) {
         const exportData = {
             name: calendar.name,
             year: calendar.year,
-            days: calendar.days,
+            timezone: calendar.timezone,
+            ihtiyat: calendar.ihtiyat,
+            alarmOverrides: calendar.alarmOverrides,
+            days: buildExportDays(calendar),
             exportedAt: new Date().toISOString(),
             appVersion: '1.0'
         };
@@ -0,0 +1,265 @@
+/**
+ * RamadanReady - Hijri Calendar
+ * Converts between Gregorian and Hijri dates using the tabular (civil)
+ * calendar or the Umm al-Qura tables, with a user day adjustment
+ */
+
+const HIJRI_MONTHS = [
+    'Muharram', 'Safar', 'Rabi al-Awwal', 'Rabi al-Thani',
+    'Jumada al-Ula', 'Jumada al-Akhirah', 'Rajab', 'Shaban',
+    'Ramadan', 'Shawwal', 'Dhu al-Qadah', 'Dhu al-Hijjah'
+];
+
+const RAMADAN_MONTH = 9;
+
+const HIJRI_METHODS = {
+    umalqura: 'Umm al-Qura (Saudi Arabia)',
+    tabular: 'Tabular (arithmetic)'
+};
+
+// Used when no method/adjustment is passed (see ramadanDB.getHijriSettings)
+const HIJRI_DEFAULTS = {
+    method: 'umalqura',
+    adjustment: 0
+};
+
+// Julian day number of 1 Muharram 1 AH in the civil tabular calendar
+const TABULAR_EPOCH = 1948440;
+
+// Umm al-Qura month lengths for 1420-1500 AH: one 12-bit mask per year,
+// bit n set when month n+1 has 30 days (otherwise 29)
+const UMM_AL_QURA_FIRST_YEAR = 1420;
+const UMM_AL_QURA_EPOCH = 2451286; // 1 Muharram 1420 = 17 April 1999
+const UMM_AL_QURA_MONTHS = [
+    0xbd2, 0xbc4, 0xb89, 0xa95, 0x52d, 0x5ad, 0xb6a, 0x6d4, 0xdc9, 0xd92,
+    0xaa6, 0x956, 0x2ae, 0x56d, 0x36a, 0xb55, 0xaaa, 0x94d, 0x49d, 0x95d,
+    0x2ba, 0x5b5, 0x5aa, 0xd55, 0xa9a, 0x92e, 0x26e, 0x55d, 0xada, 0x6d4,
+    0x6a5, 0xb27, 0xa4d, 0x4ad, 0x56d, 0xb5a, 0x754, 0xf49, 0xe92, 0xd26,
+    0xa56, 0x356, 0x6b5, 0xbaa, 0xb92, 0xb25, 0x68b, 0xa9b, 0x55a, 0xada,
+    0x5b4, 0xda9, 0xb52, 0xa9a, 0x536, 0x276, 0x575, 0xaf2, 0x6d4, 0x6a9,
+    0x555, 0x2ad, 0x4bd, 0x9ba, 0x574, 0xb69, 0xb52, 0xa95, 0x52d, 0xa5d,
+    0x4da, 0xad9, 0x6b2, 0xe95, 0xe2a, 0xc96, 0x92e, 0xaad, 0x56a, 0xd65,
+    0xd4a
+];
+
+// Julian day number of the first day of each Umm al-Qura month (built lazily)
+let ummAlQuraMonthStarts = null;
+
+/**
+ * Julian day number for a Gregorian date
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {number}
+ */
+function gregorianToJdn(year, month, day) {
+    return Math.floor(Date.UTC(year, month - 1, day) / 86400000) + 2440588;
+}
+
+/**
+ * Gregorian date parts for a Julian day number
+ * @param {number} jdn
+ * @returns {{year: number, month: number, day: number}}
+ */
+function jdnToGregorian(jdn) {
+    const date = new Date((jdn - 2440588) * 86400000);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Julian day number for a tabular Hijri date
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @returns {number}
+ */
+function tabularToJdn(year, month, day) {
+    return day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 +
+        Math.floor((3 + 11 * year) / 30) + TABULAR_EPOCH - 1;
+}
+
+/**
+ * Tabular Hijri date for a Julian day number
+ * @param {number} jdn
+ * @returns {{year: number, month: number, day: number}}
+ */
+function jdnToTabular(jdn) {
+    const year = Math.floor((30 * (jdn - TABULAR_EPOCH) + 10646) / 10631);
+    const month = Math.min(12, Math.ceil((jdn - (29 + tabularToJdn(year, 1, 1))) / 29.5) + 1);
+    const day = jdn - tabularToJdn(year, month, 1) + 1;
+    return { year, month, day };
+}
+
+/**
+ * Build the Umm al-Qura month start table
+ * @returns {Array<number>}
+ */
+function getUmmAlQuraMonthStarts() {
+    if (ummAlQuraMonthStarts) return ummAlQuraMonthStarts;
+
+    ummAlQuraMonthStarts = [UMM_AL_QURA_EPOCH];
+    UMM_AL_QURA_MONTHS.forEach(mask => {
+        for (let m = 0; m < 12; m++) {
+            const last = ummAlQuraMonthStarts[ummAlQuraMonthStarts.length - 1];
+            ummAlQuraMonthStarts.push(last + ((mask >> m) & 1 ? 30 : 29));
+        }
+    });
+    return ummAlQuraMonthStarts;
+}
+
+/**
+ * Check whether a Hijri year is covered by the Umm al-Qura table
+ * @param {number} year
+ * @returns {boolean}
+ */
+function isUmmAlQuraYear(year) {
+    return year >= UMM_AL_QURA_FIRST_YEAR && year < UMM_AL_QURA_FIRST_YEAR + UMM_AL_QURA_MONTHS.length;
+}
+
+/**
+ * Convert a Julian day number to a Hijri date
+ * @param {number} jdn
+ * @param {string} method - 'umalqura' or 'tabular'
+ * @returns {{year: number, month: number, day: number}}
+ */
+function jdnToHijri(jdn, method) {
+    const starts = getUmmAlQuraMonthStarts();
+
+    // Fall back to the tabular calendar outside the table range
+    if (method !== 'umalqura' || jdn < starts[0] || jdn >= starts[starts.length - 1]) {
+        return jdnToTabular(jdn);
+    }
+
+    let index = 0;
+    while (starts[index + 1] <= jdn) index++;
+
+    return {
+        year: UMM_AL_QURA_FIRST_YEAR + Math.floor(index / 12),
+        month: (index % 12) + 1,
+        day: jdn - starts[index] + 1
+    };
+}
+
+/**
+ * Convert a Hijri date to a Julian day number
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @param {string} method - 'umalqura' or 'tabular'
+ * @returns {number}
+ */
+function hijriToJdn(year, month, day, method) {
+    if (method !== 'umalqura' || !isUmmAlQuraYear(year)) {
+        return tabularToJdn(year, month, day);
+    }
+    const index = (year - UMM_AL_QURA_FIRST_YEAR) * 12 + (month - 1);
+    return getUmmAlQuraMonthStarts()[index] + day - 1;
+}
+
+/**
+ * Resolve conversion options, falling back to the defaults
+ * @param {Object} options - { method, adjustment }
+ * @returns {Object}
+ */
+function resolveHijriOptions(options = {}) {
+    return { ...HIJRI_DEFAULTS, ...options };
+}
+
+/**
+ * Convert a Gregorian date to Hijri
+ * @param {Date|string} date - Date (local calendar date) or YYYY-MM-DD string
+ * @param {Object} options - Optional { method, adjustment } (defaults to Umm al-Qura, no adjustment)
+ * @returns {{year: number, month: number, day: number}}
+ */
+function gregorianToHijri(date, options) {
+    const { method, adjustment } = resolveHijriOptions(options);
+
+    let jdn;
+    if (date instanceof Date) {
+        jdn = gregorianToJdn(date.getFullYear(), date.getMonth() + 1, date.getDate());
+    } else {
+        const [year, month, day] = String(date).split('-').map(Number);
+        jdn = gregorianToJdn(year, month, day);
+    }
+
+    return jdnToHijri(jdn + adjustment, method);
+}
+
+/**
+ * Convert a Hijri date to a Gregorian Date (local midnight)
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @param {Object} options - Optional { method, adjustment } (defaults to Umm al-Qura, no adjustment)
+ * @returns {Date}
+ */
+function hijriToGregorian(year, month, day, options) {
+    const { method, adjustment } = resolveHijriOptions(options);
+    const g = jdnToGregorian(hijriToJdn(year, month, day, method) - adjustment);
+    return new Date(g.year, g.month - 1, g.day);
+}
+
+/**
+ * Number of days in a Hijri month
+ * @param {number} year
+ * @param {number} month
+ * @param {Object} options - Optional { method }
+ * @returns {number}
+ */
+function getHijriMonthLength(year, month, options) {
+    const { method } = resolveHijriOptions(options);
+    const nextYear = month === 12 ? year + 1 : year;
+    const nextMonth = month === 12 ? 1 : month + 1;
+    return hijriToJdn(nextYear, nextMonth, 1, method) - hijriToJdn(year, month, 1, method);
+}
+
+/**
+ * Format a Hijri date, e.g. "12 Ramadan 1448"
+ * @param {Object} hijri - { year, month, day }
+ * @param {Object} options - { includeYear: true }
+ * @returns {string}
+ */
+function formatHijriDate(hijri, options = {}) {
+    const text = `${hijri.day} ${HIJRI_MONTHS[hijri.month - 1]}`;
+    return options.includeYear === false ? text : `${text} ${hijri.year}`;
+}
+
+/**
+ * Find the Hijri year whose Ramadan starts in a Gregorian year
+ * @param {number} gregorianYear
+ * @param {Object} options - Optional { method, adjustment }
+ * @returns {number}
+ */
+function getRamadanHijriYear(gregorianYear, options) {
+    const newYear = gregorianToHijri(new Date(gregorianYear, 0, 1), options);
+    const start = hijriToGregorian(newYear.year, RAMADAN_MONTH, 1, options);
+    return start.getFullYear() < gregorianYear ? newYear.year + 1 : newYear.year;
+}
+
+/**
+ * Get the Gregorian date of 1 Ramadan in a Gregorian year
+ * @param {number} gregorianYear
+ * @param {Object} options - Optional { method, adjustment }
+ * @returns {Date}
+ */
+function getRamadanStart(gregorianYear, options) {
+    return hijriToGregorian(getRamadanHijriYear(gregorianYear, options), RAMADAN_MONTH, 1, options);
+}
+
+/**
+ * Get every Gregorian date of Ramadan starting in a Gregorian year
+ * @param {number} gregorianYear
+ * @param {Object} options - Optional { method, adjustment }
+ * @returns {Array<Date>}
+ */
+function getRamadanDates(gregorianYear, options) {
+    const hijriYear = getRamadanHijriYear(gregorianYear, options);
+    const start = getRamadanStart(gregorianYear, options);
+    const length = getHijriMonthLength(hijriYear, RAMADAN_MONTH, options);
+
+    const dates = [];
+    for (let i = 0; i < length; i++) {
+        dates.push(new Date(start.getFullYear(), start.getMonth(), start.getDate() + i));
+    }
+    return dates;
+}
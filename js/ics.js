@@ -0,0 +1,239 @@
+/**
+ * RamadanReady - iCalendar Export
+ * Builds .ics files of a calendar's Sahar and Iftar times for phone
+ * calendars, with reminders taken from the alarm settings
+ */
+
+// Ways a calendar's days become calendar events
+const ICS_EVENT_STYLES = {
+    times: 'Sahar and Iftar events',
+    fast: 'One all-day event per fast'
+};
+
+// Product identifier written into every file
+const ICS_PRODUCT_ID = '-//RamadanReady//Ramadan Calendar//EN';
+
+// Domain part of event UIDs; with the calendar ID and date they stay the same across re-exports
+const ICS_UID_DOMAIN = 'ramadanready';
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeIcsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuing on lines that start with a space
+ * @param {string} line
+ * @returns {string}
+ */
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        // Continuation lines lose one octet to their leading space
+        if (octets + size > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format an instant as UTC date-time, e.g. 20260218T051200Z
+ * @param {Date} instant
+ * @returns {string}
+ */
+function formatIcsUtc(instant) {
+    return instant.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format the wall-clock time of an instant at a UTC offset, e.g. 20260218T051200
+ * @param {Date} instant
+ * @param {number} offsetMinutes - UTC offset (e.g. 180 for UTC+3)
+ * @returns {string}
+ */
+function formatIcsWallClock(instant, offsetMinutes) {
+    return formatIcsUtc(new Date(instant.getTime() + offsetMinutes * 60000)).slice(0, -1);
+}
+
+/**
+ * Format a UTC offset for VTIMEZONE, e.g. +0530
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatIcsOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Describe a timezone over a date range as a VTIMEZONE: the offset at the
+ * start, then each switch (a Ramadan crosses at most one daylight-saving change)
+ * @param {string} timezone - IANA name
+ * @param {string} firstDate - YYYY-MM-DD
+ * @param {string} lastDate - YYYY-MM-DD
+ * @returns {Array<string>} - Content lines
+ */
+function buildIcsTimezone(timezone, firstDate, lastDate) {
+    const start = zonedDateTime(firstDate, '00:00', timezone);
+    const end = zonedDateTime(addDaysToIsoDate(lastDate, 1), '23:59', timezone);
+    const offsetAt = (time) => getTimezoneOffsetMinutes(timezone, new Date(time));
+
+    // Offsets above the year's lowest are daylight saving time
+    const year = Number(firstDate.slice(0, 4));
+    const standard = Math.min(offsetAt(Date.UTC(year, 0, 1)), offsetAt(Date.UTC(year, 6, 1)));
+
+    const observance = (instant, from, to) => {
+        const kind = to > standard ? 'DAYLIGHT' : 'STANDARD';
+        return [
+            `BEGIN:${kind}`,
+            `DTSTART:${formatIcsWallClock(instant, from)}`,
+            `TZOFFSETFROM:${formatIcsOffset(from)}`,
+            `TZOFFSETTO:${formatIcsOffset(to)}`,
+            `END:${kind}`
+        ];
+    };
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timezone}`, ...observance(start, offsetAt(start), offsetAt(start))];
+
+    // Step through the range a few hours at a time, then narrow each switch down to the minute
+    const step = 6 * 60 * 60 * 1000;
+    for (let time = start.getTime(); time < end.getTime(); time += step) {
+        const from = offsetAt(time);
+        const to = offsetAt(time + step);
+        if (from === to) continue;
+
+        let low = time;
+        let high = time + step;
+        while (high - low > 60000) {
+            const middle = Math.floor((low + high) / 120000) * 60000;
+            if (offsetAt(middle) === from) low = middle;
+            else high = middle;
+        }
+        lines.push(...observance(new Date(high), from, to));
+    }
+
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+/**
+ * Build a VALARM
+ * @param {Object} alarm - { minutes before the event, time: Date, description }
+ * @param {boolean} absolute - Trigger at the alarm's time rather than relative to the event start (all-day events)
+ * @returns {Array<string>} - Content lines
+ */
+function buildIcsAlarm(alarm, absolute) {
+    return [
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeIcsText(alarm.description)}`,
+        absolute ? `TRIGGER;VALUE=DATE-TIME:${formatIcsUtc(alarm.time)}` : `TRIGGER:${alarm.minutes > 0 ? '-' : ''}PT${alarm.minutes}M`,
+        'END:VALARM'
+    ];
+}
+
+/**
+ * Build an iCalendar file of a calendar's days. Times include the calendar's
+ * safety margins. Reminders follow the calendar's weekday shifts and skip days
+ * marked "Skip Alarms".
+ * @param {Object} calendar - Calendar to export
+ * @param {Object} options - { style: key of ICS_EVENT_STYLES, reminders: Sahar/Iftar reminders from the alarm settings }
+ * @returns {string}
+ */
+function buildIcsCalendar(calendar, options = {}) {
+    const timezone = calendar.timezone || getDeviceTimezone();
+    const style = options.style === 'fast' ? 'fast' : 'times';
+    const reminders = (options.reminders || []).filter(reminder => ['sahar', 'iftar'].includes(reminder.event));
+    const overrides = normalizeAlarmOverrides(calendar.alarmOverrides);
+    const days = ramadanDB.getAdjustedDays(calendar);
+
+    const stamp = formatIcsUtc(new Date());
+    const modified = new Date(calendar.updatedAt || calendar.createdAt || Date.now());
+    // Later saves get a higher sequence, so calendar apps replace the earlier import
+    const sequence = Math.floor(modified.getTime() / 1000);
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICS_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeIcsText(calendar.name)}`,
+        `X-WR-TIMEZONE:${timezone}`
+    ];
+    if (days.length > 0) {
+        lines.push(...buildIcsTimezone(timezone, days[0].date, days[days.length - 1].date));
+    }
+
+    days.forEach((day, i) => {
+        const times = ramadanDB.getDayEventTimes({ ...calendar, timezone }, day);
+        const shift = overrides.weekdays[getIsoWeekday(day.date)] || 0;
+
+        const alarmsFor = (event) => day.skipAlarms ? [] : reminders.filter(reminder => reminder.event === event).map(reminder => {
+            const minutes = Math.max(0, reminder.minutes - shift);
+            const template = reminder.message || getDefaultReminderMessage(event, minutes);
+            return {
+                minutes,
+                time: new Date(times[event].getTime() - minutes * 60000),
+                description: formatReminderMessage(template, {
+                    event: ALARM_EVENTS[event],
+                    minutes,
+                    time: formatZonedTime(times[event], timezone),
+                    label: reminder.label
+                })
+            };
+        });
+
+        const event = (uid, summary, start, alarms, absolute) => [
+            'BEGIN:VEVENT',
+            `UID:${day.date}-${uid}-${calendar.id}@${ICS_UID_DOMAIN}`,
+            `DTSTAMP:${stamp}`,
+            `LAST-MODIFIED:${formatIcsUtc(modified)}`,
+            `SEQUENCE:${sequence}`,
+            ...start,
+            `SUMMARY:${escapeIcsText(summary)}`,
+            'TRANSP:TRANSPARENT',
+            ...alarms.flatMap(alarm => buildIcsAlarm(alarm, absolute)),
+            'END:VEVENT'
+        ];
+
+        const label = `Ramadan ${i + 1}`;
+        if (style === 'fast') {
+            lines.push(...event('fast', `${label}: Sahar ends ${day.saharTime}, Iftar ${day.iftarTime}`, [
+                `DTSTART;VALUE=DATE:${day.date.replace(/-/g, '')}`,
+                `DTEND;VALUE=DATE:${addDaysToIsoDate(day.date, 1).replace(/-/g, '')}`
+            ], [...alarmsFor('sahar'), ...alarmsFor('iftar')], true));
+        } else {
+            ['sahar', 'iftar'].forEach(name => {
+                const start = formatIcsWallClock(times[name], getTimezoneOffsetMinutes(timezone, times[name]));
+                lines.push(...event(name, `${name === 'sahar' ? 'Sahar ends' : 'Iftar'} (${label})`, [
+                    `DTSTART;TZID=${timezone}:${start}`
+                ], alarmsFor(name), false));
+            });
+        }
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
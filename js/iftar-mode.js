@@ -0,0 +1,243 @@
+/**
+ * RamadanReady - Iftar Mode
+ * Full-screen countdown to Sahar or Iftar that opens by itself in the last
+ * minutes, keeps the screen on and ends with the Iftar dua
+ */
+
+// The end view (Iftar dua, or the start of the fast) closes by itself after this long
+const IFTAR_MODE_END_DURATION = 10 * 60 * 1000;
+
+// Circumference of the progress ring (r = 90 in a 200 × 200 viewBox)
+const IFTAR_MODE_RING = 2 * Math.PI * 90;
+
+// The event on screen ({ key, event, at, from, timezone, ended }), the last
+// event the user closed, the timer that closes the end view and the wake lock
+let iftarModeTarget = null;
+let iftarModeDismissed = null;
+let iftarModeEndTimer = null;
+let screenWakeLock = null;
+
+/**
+ * Open or update the full-screen countdown, called every second by the home countdown
+ * @param {Object} calendar - Active calendar
+ * @param {Object} day - Today's day entry (with safety margins)
+ * @param {Date} now - Current instant
+ */
+async function updateIftarMode(calendar, day, now) {
+    if (!iftarModeTarget) {
+        const settings = await ramadanDB.getIftarModeSettings();
+        if (!settings.enabled) return;
+        
+        const target = getIftarModeTarget(calendar, day, now);
+        const due = target && settings.events.includes(target.event) &&
+            target.at - now <= settings.minutes * 60000;
+        if (!due || target.key === iftarModeDismissed) return;
+        
+        openIftarMode(target);
+    }
+    
+    renderIftarModeTick(now);
+}
+
+/**
+ * Work out the next Sahar or Iftar of the day and where its progress ring starts:
+ * the fast from Sahar for Iftar, the last hour of the night for Sahar
+ * @param {Object} calendar - Active calendar
+ * @param {Object} day - Today's day entry
+ * @param {Date} now - Current instant
+ * @returns {Object|null} - { key, event, at, from, timezone }, null once Iftar has passed
+ */
+function getIftarModeTarget(calendar, day, now) {
+    const { sahar, iftar } = ramadanDB.getDayEventTimes(calendar, day);
+    const target = now < sahar
+        ? { event: 'sahar', at: sahar, from: new Date(sahar.getTime() - 60 * 60000) }
+        : now < iftar ? { event: 'iftar', at: iftar, from: sahar } : null;
+    
+    return target && { ...target, key: `${day.date}-${target.event}`, timezone: calendar.timezone };
+}
+
+/**
+ * Open the full-screen countdown from the home screen, for the next Sahar or Iftar today
+ */
+async function openIftarModeNow() {
+    const now = new Date();
+    const calendar = await ramadanDB.getActiveCalendar();
+    const day = ramadanDB.getDayData(calendar, now);
+    const target = day && getIftarModeTarget(calendar, day, now);
+    
+    if (!target) {
+        showToast('Fasting complete for today', 'info');
+        return;
+    }
+    
+    closeIftarMode();
+    openIftarMode(target);
+    renderIftarModeTick(now);
+}
+
+/**
+ * Show the countdown view for an event and keep the screen on
+ * @param {Object} target - From getIftarModeTarget
+ */
+function openIftarMode(target) {
+    iftarModeTarget = target;
+    
+    const container = document.getElementById('iftar-mode');
+    container.className = `iftar-mode ${target.event}`;
+    container.innerHTML = `
+        <div class="iftar-mode-content">
+            <p class="iftar-mode-label">${target.event === 'iftar' ? 'Iftar begins' : 'Sahar ends'} at ${formatZonedTime(target.at, target.timezone)}</p>
+            <div class="iftar-mode-ring">
+                <svg viewBox="0 0 200 200" aria-hidden="true">
+                    <circle class="iftar-mode-ring-track" cx="100" cy="100" r="90"></circle>
+                    <circle class="iftar-mode-ring-progress" id="iftar-mode-progress" cx="100" cy="100" r="90"
+                        stroke-dasharray="${IFTAR_MODE_RING}" stroke-dashoffset="${IFTAR_MODE_RING}"></circle>
+                </svg>
+                <div class="iftar-mode-countdown" id="iftar-mode-countdown" role="timer">--:--</div>
+            </div>
+            <div class="iftar-mode-clock" id="iftar-mode-clock">--:--:--</div>
+            <p class="iftar-mode-progress-label" id="iftar-mode-progress-label"></p>
+            <p class="iftar-mode-hint hidden" id="iftar-mode-wake-hint">This browser can't keep the screen on. Tap it now and then so it doesn't dim.</p>
+            <button class="btn-secondary" onclick="closeIftarMode()">Close</button>
+        </div>
+    `;
+    container.classList.remove('hidden');
+    
+    requestScreenWakeLock();
+}
+
+/**
+ * Update the clock, the countdown and the progress ring, and switch to the
+ * end view once the event arrives
+ * @param {Date} now - Current instant
+ */
+function renderIftarModeTick(now) {
+    const target = iftarModeTarget;
+    if (!target || target.ended) return;
+    
+    // Came back long after the event (the device slept): nothing left to show
+    if (now - target.at > IFTAR_MODE_END_DURATION) {
+        closeIftarMode();
+        return;
+    }
+    
+    if (now >= target.at) {
+        showIftarModeEnd();
+        return;
+    }
+    
+    const progress = Math.min(1, Math.max(0, (now - target.from) / (target.at - target.from)));
+    document.getElementById('iftar-mode-progress').setAttribute('stroke-dashoffset', IFTAR_MODE_RING * (1 - progress));
+    document.getElementById('iftar-mode-countdown').textContent = formatCountdown(target.at - now);
+    document.getElementById('iftar-mode-clock').textContent = formatZonedTime(now, target.timezone, true);
+    document.getElementById('iftar-mode-progress-label').textContent = target.event === 'iftar'
+        ? `${Math.floor(progress * 100)}% of today's fast done`
+        : 'Last chance to eat and drink';
+}
+
+/**
+ * Replace the countdown with the end view: the Iftar celebration and dua,
+ * or the start of the fast after Sahar
+ */
+function showIftarModeEnd() {
+    const target = iftarModeTarget;
+    target.ended = true;
+    iftarModeDismissed = target.key;
+    
+    const content = document.querySelector('#iftar-mode .iftar-mode-content');
+    content.innerHTML = target.event === 'iftar' ? `
+        <div class="iftar-mode-celebrate" aria-hidden="true">
+            <span>✨</span><span>🌙</span><span>🌟</span><span>🌙</span><span>✨</span>
+        </div>
+        <div class="iftar-mode-icon">🌅</div>
+        <h2>It's time for Iftar</h2>
+        <p class="iftar-mode-label">May Allah accept your fast</p>
+        <div class="iftar-mode-dua">
+            <p class="iftar-mode-dua-arabic" lang="ar" dir="rtl">ذَهَبَ الظَّمَأُ وَابْتَلَّتِ الْعُرُوقُ وَثَبَتَ الْأَجْرُ إِنْ شَاءَ اللَّهُ</p>
+            <p class="iftar-mode-dua-transliteration">Dhahaba al-zama'u wabtallatil-'uruqu wa thabatal-ajru in sha Allah</p>
+            <p>The thirst has gone, the veins are moistened and the reward is certain, if Allah wills.</p>
+        </div>
+        <button class="btn-primary" onclick="closeIftarMode()">Close</button>
+    ` : `
+        <div class="iftar-mode-icon">🌙</div>
+        <h2>Sahar has ended</h2>
+        <p class="iftar-mode-label">The fast has begun. May Allah make it easy.</p>
+        <button class="btn-primary" onclick="closeIftarMode()">Close</button>
+    `;
+    
+    if (navigator.vibrate) {
+        navigator.vibrate([200, 100, 200]);
+    }
+    
+    iftarModeEndTimer = setTimeout(closeIftarMode, IFTAR_MODE_END_DURATION);
+}
+
+/**
+ * Close the full-screen countdown and let the screen dim again.
+ * It doesn't reopen for the same event.
+ */
+function closeIftarMode() {
+    if (iftarModeTarget) {
+        iftarModeDismissed = iftarModeTarget.key;
+    }
+    iftarModeTarget = null;
+    clearTimeout(iftarModeEndTimer);
+    iftarModeEndTimer = null;
+    releaseScreenWakeLock();
+    
+    const container = document.getElementById('iftar-mode');
+    if (container) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+    }
+}
+
+/**
+ * Keep the screen on with the Screen Wake Lock API, or say that it can't be
+ */
+async function requestScreenWakeLock() {
+    if (screenWakeLock) return;
+    
+    try {
+        if (!('wakeLock' in navigator)) throw new Error('Screen Wake Lock API not supported');
+        const lock = await navigator.wakeLock.request('screen');
+        
+        // Iftar mode may have closed (or another request won) while the lock was being granted
+        if (!iftarModeTarget || screenWakeLock) {
+            lock.release();
+            return;
+        }
+        
+        screenWakeLock = lock;
+        screenWakeLock.addEventListener('release', () => {
+            screenWakeLock = null;
+        });
+        document.getElementById('iftar-mode-wake-hint')?.classList.add('hidden');
+    } catch (error) {
+        // Also refused while the page is hidden; it is asked again when the page comes back
+        console.warn('Screen wake lock unavailable:', error);
+        document.getElementById('iftar-mode-wake-hint')?.classList.toggle('hidden', document.visibilityState !== 'visible');
+    }
+}
+
+/**
+ * Let the screen dim again
+ */
+function releaseScreenWakeLock() {
+    if (!screenWakeLock) return;
+    
+    screenWakeLock.release().catch(error => console.warn('Failed to release wake lock:', error));
+    screenWakeLock = null;
+}
+
+/**
+ * The browser drops the wake lock whenever the page is hidden, so take it
+ * again when the countdown comes back into view
+ */
+function setupIftarMode() {
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && iftarModeTarget) {
+            requestScreenWakeLock();
+        }
+    });
+}
@@ -0,0 +1,314 @@
+/**
+ * RamadanReady - Prayer Time Calculator
+ * Offline solar position engine that generates Sahar/Iftar calendars
+ * from a location, timezone and calculation method
+ */
+
+// Calculation methods (twilight angles in degrees, or minutes after Maghrib)
+const CALCULATION_METHODS = {
+    MWL: { name: 'Muslim World League', fajr: 18, isha: 17 },
+    ISNA: { name: 'Islamic Society of North America (ISNA)', fajr: 15, isha: 15 },
+    Makkah: { name: 'Umm al-Qura University, Makkah', fajr: 18.5, isha: '90 min' },
+    Karachi: { name: 'University of Islamic Sciences, Karachi', fajr: 18, isha: 18 },
+    Egypt: { name: 'Egyptian General Authority of Survey', fajr: 19.5, isha: 17.5 },
+    Custom: { name: 'Custom angles', fajr: 18, isha: 17 }
+};
+
+const DEFAULT_CALCULATION_METHOD = 'MWL';
+
+// Sun altitude at sunrise/sunset (refraction + solar disc radius)
+const SUNRISE_ANGLE = 0.833;
+
+/**
+ * Trigonometry helpers working in degrees
+ */
+const degToRad = (d) => (d * Math.PI) / 180;
+const radToDeg = (r) => (r * 180) / Math.PI;
+const dsin = (d) => Math.sin(degToRad(d));
+const dcos = (d) => Math.cos(degToRad(d));
+const dtan = (d) => Math.tan(degToRad(d));
+const darcsin = (x) => radToDeg(Math.asin(x));
+const darccos = (x) => radToDeg(Math.acos(x));
+const darctan2 = (y, x) => radToDeg(Math.atan2(y, x));
+const darccot = (x) => radToDeg(Math.atan(1 / x));
+const fixAngle = (a) => a - 360 * Math.floor(a / 360);
+const fixHour = (h) => h - 24 * Math.floor(h / 24);
+
+/**
+ * Julian day number at midnight UT for a Gregorian date
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {number}
+ */
+function julianDay(year, month, day) {
+    if (month <= 2) {
+        year -= 1;
+        month += 12;
+    }
+    const a = Math.floor(year / 100);
+    const b = 2 - a + Math.floor(a / 4);
+    return Math.floor(365.25 * (year + 4716)) + Math.floor(30.6001 * (month + 1)) + day + b - 1524.5;
+}
+
+/**
+ * Sun declination and equation of time for a Julian day
+ * @param {number} jd - Julian day
+ * @returns {{declination: number, equation: number}}
+ */
+function sunPosition(jd) {
+    const d = jd - 2451545.0;
+    const g = fixAngle(357.529 + 0.98560028 * d);
+    const q = fixAngle(280.459 + 0.98564736 * d);
+    const l = fixAngle(q + 1.915 * dsin(g) + 0.020 * dsin(2 * g));
+    const e = 23.439 - 0.00000036 * d;
+
+    const ra = darctan2(dcos(e) * dsin(l), dcos(l)) / 15;
+    const equation = q / 15 - fixHour(ra);
+    const declination = darcsin(dsin(e) * dsin(l));
+
+    return { declination, equation };
+}
+
+/**
+ * Compute raw prayer times (in hours, local solar frame) for one day
+ * @param {number} jd - Julian day adjusted for longitude
+ * @param {number} latitude
+ * @param {Object} method - Method parameters ({fajr, isha})
+ * @param {number} asrFactor - 1 (Shafi'i) or 2 (Hanafi)
+ * @returns {Object}
+ */
+function computeDayTimes(jd, latitude, method, asrFactor) {
+    const midDay = (t) => fixHour(12 - sunPosition(jd + t).equation);
+
+    const sunAngleTime = (angle, t, ccw) => {
+        const decl = sunPosition(jd + t).declination;
+        const noon = midDay(t);
+        const cosT = (-dsin(angle) - dsin(decl) * dsin(latitude)) / (dcos(decl) * dcos(latitude));
+        const offset = darccos(cosT) / 15;
+        return noon + (ccw ? -offset : offset);
+    };
+
+    const asrTime = (factor, t) => {
+        const decl = sunPosition(jd + t).declination;
+        const angle = -darccot(factor + dtan(Math.abs(latitude - decl)));
+        return sunAngleTime(angle, t);
+    };
+
+    // Initial guesses as day portions, refined in a second pass
+    let times = { fajr: 5, sunrise: 6, dhuhr: 12, asr: 13, sunset: 18, isha: 18 };
+
+    for (let i = 0; i < 2; i++) {
+        const p = {};
+        Object.keys(times).forEach(key => { p[key] = times[key] / 24; });
+
+        times = {
+            fajr: sunAngleTime(method.fajr, p.fajr, true),
+            sunrise: sunAngleTime(SUNRISE_ANGLE, p.sunrise, true),
+            dhuhr: midDay(p.dhuhr),
+            asr: asrTime(asrFactor, p.asr),
+            sunset: sunAngleTime(SUNRISE_ANGLE, p.sunset),
+            isha: typeof method.isha === 'number' ? sunAngleTime(method.isha, p.isha) : times.sunset
+        };
+    }
+
+    return times;
+}
+
+/**
+ * Adjust Fajr/Isha for high latitudes where twilight never ends (angle-based rule)
+ * @param {Object} times - Raw times in hours
+ * @param {Object} method - Method parameters
+ * @returns {Object}
+ */
+function adjustHighLatitudes(times, method) {
+    const night = fixHour(times.sunrise - times.sunset);
+
+    const fajrPortion = (method.fajr / 60) * night;
+    if (isNaN(times.fajr) || fixHour(times.sunrise - times.fajr) > fajrPortion) {
+        times.fajr = times.sunrise - fajrPortion;
+    }
+
+    if (typeof method.isha === 'number') {
+        const ishaPortion = (method.isha / 60) * night;
+        if (isNaN(times.isha) || fixHour(times.isha - times.sunset) > ishaPortion) {
+            times.isha = times.sunset + ishaPortion;
+        }
+    }
+
+    return times;
+}
+
+/**
+ * Resolve method parameters, applying custom angles when requested
+ * @param {Object} options - Calculation options
+ * @returns {Object}
+ */
+function resolveMethod(options) {
+    const key = options.method || DEFAULT_CALCULATION_METHOD;
+    const base = CALCULATION_METHODS[key];
+    if (!base) throw new Error(`Unknown calculation method: ${key}`);
+
+    const method = { ...base };
+    if (key === 'Custom') {
+        method.fajr = parseAngle(options.fajrAngle, method.fajr);
+        method.isha = parseAngle(options.ishaAngle, method.isha);
+    }
+    return method;
+}
+
+/**
+ * Read a custom twilight angle, keeping the method's own when it is blank or not a number
+ * @param {number|string|null} value - Angle from the options
+ * @param {number} fallback - The method's angle
+ * @returns {number}
+ */
+function parseAngle(value, fallback) {
+    if (value == null || String(value).trim() === '') return fallback;
+    const angle = Number(value);
+    return Number.isFinite(angle) ? angle : fallback;
+}
+
+/**
+ * Get the UTC offset (in hours) of a timezone on a given date
+ * @param {string|number} timezone - IANA name (e.g. "Europe/London") or fixed offset in hours
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {number}
+ */
+function getUtcOffsetHours(timezone, year, month, day) {
+    if (typeof timezone === 'number') return timezone;
+    if (timezone !== '' && !isNaN(Number(timezone))) return Number(timezone);
+
+    // Measure at local noon so DST switches in the early morning are already applied
+    return getTimezoneOffsetMinutes(timezone, new Date(Date.UTC(year, month - 1, day, 12))) / 60;
+}
+
+/**
+ * Format hours as an HH:MM string rounded to the nearest minute
+ * @param {number} hours
+ * @returns {string}
+ */
+function formatHours(hours) {
+    if (isNaN(hours)) return '';
+    const totalMinutes = Math.round(fixHour(hours) * 60) % (24 * 60);
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Validate and normalise calculation options
+ * @param {Object} options
+ * @returns {Object}
+ */
+function validateCalculationOptions(options) {
+    const latitude = Number(options.latitude);
+    const longitude = Number(options.longitude);
+
+    if (options.latitude === '' || isNaN(latitude) || latitude < -90 || latitude > 90) {
+        throw new Error('Latitude must be between -90 and 90');
+    }
+    if (options.longitude === '' || isNaN(longitude) || longitude < -180 || longitude > 180) {
+        throw new Error('Longitude must be between -180 and 180');
+    }
+    if (options.timezone == null || options.timezone === '') {
+        throw new Error('Timezone is required');
+    }
+
+    return { ...options, latitude, longitude };
+}
+
+/**
+ * Calculate prayer times for a single date
+ * @param {string|Date} date - Date as YYYY-MM-DD or a Date (local calendar date is used)
+ * @param {Object} options - { latitude, longitude, timezone, method, fajrAngle, ishaAngle, asrMethod }
+ * @returns {Object} - { fajr, sunrise, dhuhr, asr, maghrib, isha } as HH:MM strings
+ */
+function calculatePrayerTimes(date, options) {
+    const opts = validateCalculationOptions(options);
+    const method = resolveMethod(opts);
+    const { year, month, day } = parseCalculationDate(date);
+
+    const jd = julianDay(year, month, day) - opts.longitude / (15 * 24);
+    const asrFactor = opts.asrMethod === 'Hanafi' ? 2 : 1;
+
+    let times = computeDayTimes(jd, opts.latitude, method, asrFactor);
+    times = adjustHighLatitudes(times, method);
+
+    if (typeof method.isha !== 'number') {
+        times.isha = times.sunset + parseFloat(method.isha) / 60;
+    }
+
+    // Convert from local solar time to the requested timezone
+    const shift = getUtcOffsetHours(opts.timezone, year, month, day) - opts.longitude / 15;
+
+    return {
+        fajr: formatHours(times.fajr + shift),
+        sunrise: formatHours(times.sunrise + shift),
+        dhuhr: formatHours(times.dhuhr + shift),
+        asr: formatHours(times.asr + shift),
+        maghrib: formatHours(times.sunset + shift),
+        isha: formatHours(times.isha + shift)
+    };
+}
+
+/**
+ * Parse a calculation date into its parts
+ * @param {string|Date} date - YYYY-MM-DD string or Date
+ * @returns {{year: number, month: number, day: number}}
+ */
+function parseCalculationDate(date) {
+    if (date instanceof Date) {
+        return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+    if (!match) throw new Error(`Invalid date: ${date}. Use YYYY-MM-DD`);
+    return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+}
+
+/**
+ * Generate the days array for a calendar, one entry per fasting day
+ * @param {Object} options - Calculation options plus { startDate, days }
+ * @returns {Array<Object>} - Days in the format accepted by ramadanDB.createCalendar
+ */
+function generateCalendarDays(options) {
+    const { year, month, day } = parseCalculationDate(options.startDate);
+    const count = options.days || 30;
+    const days = [];
+
+    for (let i = 0; i < count; i++) {
+        const current = new Date(Date.UTC(year, month - 1, day + i));
+        const isoDate = current.toISOString().slice(0, 10);
+        const times = calculatePrayerTimes(isoDate, options);
+
+        days.push({
+            date: isoDate,
+            saharTime: times.fajr,
+            iftarTime: times.maghrib,
+            prayers: {
+                fajr: times.fajr,
+                dhuhr: times.dhuhr,
+                asr: times.asr,
+                maghrib: times.maghrib,
+                isha: times.isha
+            }
+        });
+    }
+
+    return days;
+}
+
+/**
+ * Generate a complete calendar object ready for ramadanDB.createCalendar
+ * @param {Object} options - Same as generateCalendarDays, plus optional name
+ * @returns {Object}
+ */
+function generateCalendar(options) {
+    const { year } = parseCalculationDate(options.startDate);
+    return {
+        name: options.name || `Ramadan ${year}`,
+        year: year,
+        days: generateCalendarDays(options)
+    };
+}
@@ -0,0 +1,332 @@
+/**
+ * RamadanReady - Qada Ledger
+ * Tracks fasts owed from every Ramadan, the make-up fasts and fidya that
+ * settle them, and kaffarah for broken fasts
+ */
+
+/**
+ * Render the Qada screen
+ */
+function renderQadaScreen() {
+    const container = document.getElementById('screen-qada');
+    container.innerHTML = `
+        <div class="qada-container">
+            <h2>Qada &amp; Fidya</h2>
+            
+            <div class="settings-section qada-summary" id="qada-summary">
+                <p class="loading-text">Loading ledger...</p>
+            </div>
+            
+            <div class="settings-section">
+                <h3>Record a Make-up Fast</h3>
+                
+                <form id="qada-makeup-form" onsubmit="recordMakeupFast(event)">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="makeup-date">Date</label>
+                            <input type="date" id="makeup-date" required onchange="fillMakeupTimes()">
+                        </div>
+                        <div class="form-group">
+                            <label for="makeup-note">Note</label>
+                            <input type="text" id="makeup-note" placeholder="Optional">
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="makeup-sahar">Sahar</label>
+                            <input type="time" id="makeup-sahar">
+                        </div>
+                        <div class="form-group">
+                            <label for="makeup-iftar">Iftar</label>
+                            <input type="time" id="makeup-iftar">
+                        </div>
+                    </div>
+                    <button type="submit" class="btn-primary">Record Make-up Fast</button>
+                </form>
+            </div>
+            
+            <div class="settings-section">
+                <h3>Add Ledger Entry</h3>
+                
+                <form id="qada-entry-form" onsubmit="addQadaLedgerEntry(event)">
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="qada-entry-type">Type</label>
+                            <select id="qada-entry-type">
+                                <option value="owed">Owed fasts (e.g. from a past Ramadan)</option>
+                                <option value="fidya">Fidya paid</option>
+                                <option value="kaffarah">Kaffarah (deliberately broken fast)</option>
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="qada-entry-count">Days</label>
+                            <input type="number" id="qada-entry-count" min="1" max="366" value="1" required>
+                        </div>
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="qada-entry-date">Date</label>
+                            <input type="date" id="qada-entry-date" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="qada-entry-note">Note</label>
+                            <input type="text" id="qada-entry-note" placeholder="Optional">
+                        </div>
+                    </div>
+                    <button type="submit" class="btn-secondary">Add Entry</button>
+                </form>
+            </div>
+            
+            <div class="settings-section">
+                <h3>Fidya Rate</h3>
+                <p class="generator-hint">Amount for feeding one person for one day. Kaffarah is ${KAFFARAH_DAYS} times this per broken fast.</p>
+                
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="fidya-rate">Rate per day</label>
+                        <input type="number" id="fidya-rate" min="0" step="0.01">
+                    </div>
+                    <div class="form-group">
+                        <label for="fidya-currency">Currency</label>
+                        <input type="text" id="fidya-currency" maxlength="8" placeholder="e.g. GBP">
+                    </div>
+                </div>
+                <button class="btn-primary" onclick="saveQadaRate()">Save Rate</button>
+            </div>
+            
+            <div class="settings-section">
+                <h3>Ledger</h3>
+                <div id="qada-ledger"></div>
+            </div>
+        </div>
+    `;
+    
+    const today = toIsoDate(new Date());
+    document.getElementById('makeup-date').value = today;
+    document.getElementById('qada-entry-date').value = today;
+    fillMakeupTimes();
+    refreshQadaScreen();
+}
+
+/**
+ * Reload the summary, rate and ledger list
+ */
+async function refreshQadaScreen() {
+    const summaryContainer = document.getElementById('qada-summary');
+    const ledgerContainer = document.getElementById('qada-ledger');
+    if (!summaryContainer || !ledgerContainer) return;
+    
+    try {
+        const summary = await ramadanDB.getQadaSummary();
+        const ledger = await ramadanDB.getQadaLedger();
+        
+        document.getElementById('fidya-rate').value = summary.fidyaRate || '';
+        document.getElementById('fidya-currency').value = summary.currency;
+        
+        const years = Object.keys(summary.owedByYear).sort().reverse();
+        
+        summaryContainer.innerHTML = `
+            <div class="qada-balance">
+                <span class="qada-balance-value">${summary.outstanding}</span>
+                <span class="qada-balance-label">fast${summary.outstanding === 1 ? '' : 's'} still owed</span>
+            </div>
+            <p>${summary.owed} owed • ${summary.madeUp} made up • ${summary.fidyaDays} covered by fidya</p>
+            ${summary.fidyaRate > 0 ? `
+                <p>Fidya for the remaining fasts: <strong>${formatQadaAmount(summary.fidyaDue, summary.currency)}</strong></p>
+                ${summary.kaffarahFasts > 0 ? `
+                    <p>Kaffarah due for ${summary.kaffarahFasts} broken fast${summary.kaffarahFasts === 1 ? '' : 's'}:
+                        <strong>${formatQadaAmount(summary.kaffarahDue, summary.currency)}</strong></p>
+                ` : ''}
+            ` : '<p class="generator-hint">Set a fidya rate below to see amounts.</p>'}
+            ${years.length ? `
+                <p class="qada-years">${years.map(year => `${year}: ${summary.owedByYear[year]} owed`).join(' • ')}</p>
+            ` : ''}
+        `;
+        
+        if (ledger.length === 0) {
+            ledgerContainer.innerHTML = '<p class="history-empty">No entries yet. Missed and exempt days from your fasting log appear here automatically.</p>';
+            return;
+        }
+        
+        ledgerContainer.innerHTML = `
+            <ul class="qada-ledger-list">
+                ${ledger.slice().reverse().map(entry => `
+                    <li class="qada-entry ${entry.type}">
+                        <div class="qada-entry-info">
+                            <strong>${QADA_ENTRY_TYPES[entry.type]}${entry.count > 1 ? ` × ${entry.count}` : ''}</strong>
+                            <span>${entry.date}${formatQadaDetail(entry)}</span>
+                        </div>
+                        <div class="calendar-actions">
+                            ${entry.type === 'kaffarah' ? `
+                                <button class="btn-secondary btn-small" onclick="toggleKaffarahPaid(${entry.id}, ${!entry.paid})">
+                                    ${entry.paid ? 'Paid ✓' : 'Mark Paid'}
+                                </button>
+                            ` : ''}
+                            ${entry.source ? '' : `<button class="btn-icon btn-danger" onclick="deleteQadaLedgerEntry(${entry.id})" title="Delete">✕</button>`}
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    
+    } catch (error) {
+        console.error('Failed to load Qada ledger:', error);
+        summaryContainer.innerHTML = '<p class="error-text">Failed to load ledger</p>';
+    }
+}
+
+/**
+ * Describe the extra details of a ledger entry
+ * @param {Object} entry - Ledger entry
+ * @returns {string}
+ */
+function formatQadaDetail(entry) {
+    const parts = [];
+    
+    if (entry.type === 'owed' && entry.reason) {
+        parts.push(entry.reason === 'missed' ? 'Missed' : EXEMPT_REASONS[entry.reason] || entry.reason);
+    }
+    if (entry.type === 'madeup' && entry.saharTime && entry.iftarTime) {
+        parts.push(`${entry.saharTime}–${entry.iftarTime}`);
+    }
+    if (entry.type === 'fidya' && entry.amount) {
+        parts.push(formatQadaAmount(entry.amount, entry.currency));
+    }
+    if (entry.note) {
+        parts.push(escapeHtml(entry.note));
+    }
+    
+    return parts.length ? ` • ${parts.join(' • ')}` : '';
+}
+
+/**
+ * Format a money amount with the configured currency
+ * @param {number} amount
+ * @param {string} currency - Free-text currency label
+ * @returns {string}
+ */
+function formatQadaAmount(amount, currency) {
+    const value = amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return currency ? `${value} ${escapeHtml(currency)}` : value;
+}
+
+/**
+ * Pre-fill the make-up fast times from the active calendar when it has that date
+ */
+async function fillMakeupTimes() {
+    const date = document.getElementById('makeup-date').value;
+    const calendar = await ramadanDB.getActiveCalendar();
+    const day = ramadanDB.getDayData(calendar, date);
+    
+    if (day) {
+        document.getElementById('makeup-sahar').value = day.saharTime;
+        document.getElementById('makeup-iftar').value = day.iftarTime;
+    }
+}
+
+/**
+ * Record a make-up fast from the form
+ * @param {Event} e - Submit event
+ */
+async function recordMakeupFast(e) {
+    e.preventDefault();
+    
+    try {
+        await ramadanDB.addQadaEntry({
+            type: 'madeup',
+            date: document.getElementById('makeup-date').value,
+            saharTime: document.getElementById('makeup-sahar').value || null,
+            iftarTime: document.getElementById('makeup-iftar').value || null,
+            note: document.getElementById('makeup-note').value.trim()
+        });
+        
+        document.getElementById('makeup-note').value = '';
+        showToast('Make-up fast recorded', 'success');
+        refreshQadaScreen();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Add an owed, fidya or kaffarah entry from the form
+ * @param {Event} e - Submit event
+ */
+async function addQadaLedgerEntry(e) {
+    e.preventDefault();
+    
+    const type = document.getElementById('qada-entry-type').value;
+    const count = parseInt(document.getElementById('qada-entry-count').value, 10);
+    const entry = {
+        type,
+        date: document.getElementById('qada-entry-date').value,
+        count,
+        note: document.getElementById('qada-entry-note').value.trim()
+    };
+    
+    // Keep what was paid at today's rate, even if the rate changes later
+    if (type === 'fidya') {
+        const { fidyaRate, currency } = await ramadanDB.getQadaSettings();
+        entry.amount = count * fidyaRate;
+        entry.currency = currency;
+    }
+    if (type === 'kaffarah') {
+        entry.paid = false;
+    }
+    
+    try {
+        await ramadanDB.addQadaEntry(entry);
+        document.getElementById('qada-entry-note').value = '';
+        document.getElementById('qada-entry-count').value = 1;
+        showToast('Ledger entry added', 'success');
+        refreshQadaScreen();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+/**
+ * Mark a kaffarah entry as paid or unpaid
+ * @param {number} id - Entry ID
+ * @param {boolean} paid
+ */
+async function toggleKaffarahPaid(id, paid) {
+    try {
+        await ramadanDB.updateQadaEntry(id, { paid });
+        refreshQadaScreen();
+    } catch (error) {
+        showToast('Failed to update entry', 'error');
+    }
+}
+
+/**
+ * Delete a ledger entry added by hand
+ * @param {number} id - Entry ID
+ */
+async function deleteQadaLedgerEntry(id) {
+    if (!confirm('Delete this ledger entry?')) return;
+    
+    try {
+        await ramadanDB.deleteQadaEntry(id);
+        showToast('Entry deleted', 'success');
+        refreshQadaScreen();
+    } catch (error) {
+        showToast('Failed to delete entry', 'error');
+    }
+}
+
+/**
+ * Save the fidya rate and currency
+ */
+async function saveQadaRate() {
+    try {
+        await ramadanDB.saveQadaSettings({
+            fidyaRate: document.getElementById('fidya-rate').value,
+            currency: document.getElementById('fidya-currency').value
+        });
+        showToast('Fidya rate saved', 'success');
+        refreshQadaScreen();
+    } catch (error) {
+        showToast('Failed to save rate', 'error');
+    }
+}
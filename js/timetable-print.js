@@ -0,0 +1,198 @@
+/**
+ * RamadanReady - Printable Timetable
+ * One-page timetable of a calendar for the fridge or the mosque board,
+ * printed or saved as PDF by the browser
+ */
+
+// Paper sizes offered for the printed timetable (CSS @page size names)
+const PRINT_PAPER_SIZES = {
+    a4: 'A4',
+    letter: 'Letter'
+};
+
+// Nights of the last ten that are odd (Laylat al-Qadr is sought in them)
+const ODD_LAST_TEN_NIGHTS = [21, 23, 25, 27, 29];
+
+// The calendar on the print screen and the Hijri settings its dates use
+let printCalendar = null;
+let printHijriSettings = null;
+
+/**
+ * Open the print screen for a calendar
+ * @param {number} calendarId - Calendar ID
+ */
+function showPrintView(calendarId) {
+    printCalendar = { id: calendarId };
+    showScreen('print');
+}
+
+/**
+ * Render the print screen: options, then a preview of the sheet as it prints
+ */
+async function renderPrintScreen() {
+    const container = document.getElementById('screen-print');
+    const calendar = printCalendar && await ramadanDB.getCalendar(printCalendar.id);
+    
+    if (!calendar) {
+        container.innerHTML = `
+            <div class="print-container">
+                <p>Choose a calendar to print from the Calendars screen.</p>
+                <button class="btn-primary" onclick="showScreen('calendars')">Go to Calendars</button>
+            </div>
+        `;
+        return;
+    }
+    
+    printCalendar = calendar;
+    printHijriSettings = await ramadanDB.getHijriSettings();
+    const settings = await ramadanDB.getPrintSettings();
+    
+    container.innerHTML = `
+        <div class="print-container">
+            <div class="print-controls">
+                <h2>Print Timetable</h2>
+                
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="print-paper">Paper</label>
+                        <select id="print-paper">
+                            ${Object.entries(PRINT_PAPER_SIZES).map(([size, label]) =>
+                                `<option value="${size}" ${size === settings.paperSize ? 'selected' : ''}>${label}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                    
+                    <div class="form-group">
+                        <label for="print-location">Location</label>
+                        <input type="text" id="print-location" value="${escapeHtml(getTimezoneCity(calendar.timezone))}" oninput="renderPrintSheet()">
+                    </div>
+                </div>
+                
+                <div class="form-group">
+                    <label for="print-footer">Footer</label>
+                    <textarea id="print-footer" rows="2" maxlength="300" placeholder="e.g. mosque name, address, contact" oninput="renderPrintSheet()">${escapeHtml(settings.footer)}</textarea>
+                </div>
+                
+                <p class="generator-hint">Choose "Save as PDF" as the printer for a PDF. Everything is made on this device.</p>
+                
+                <div class="form-actions">
+                    <button class="btn-secondary" onclick="showScreen('calendars')">Back</button>
+                    <button class="btn-primary" onclick="printTimetable()">Print / Save as PDF</button>
+                </div>
+            </div>
+            
+            <div class="print-sheet" id="print-sheet"></div>
+        </div>
+    `;
+    
+    renderPrintSheet();
+}
+
+/**
+ * Guess a place name from a timezone, e.g. "Europe/London" → "London"
+ * @param {string} timezone - IANA name
+ * @returns {string}
+ */
+function getTimezoneCity(timezone) {
+    return (timezone || '').split('/').pop().replace(/_/g, ' ');
+}
+
+/**
+ * Build the timetable sheet from the calendar and the options on screen
+ */
+function renderPrintSheet() {
+    const calendar = printCalendar;
+    const sheet = document.getElementById('print-sheet');
+    if (!calendar || !sheet) return;
+    
+    const days = ramadanDB.getAdjustedDays(calendar);
+    const location = document.getElementById('print-location').value.trim();
+    const footer = document.getElementById('print-footer').value.trim();
+    const hijriYear = days.length > 0 ? gregorianToHijri(days[0].date, printHijriSettings).year : null;
+    
+    sheet.innerHTML = `
+        <header class="print-header">
+            <h1>${escapeHtml(calendar.name)}</h1>
+            <p>${[location, `Ramadan ${hijriYear ? `${hijriYear} AH / ` : ''}${calendar.year}`].filter(Boolean).map(escapeHtml).join(' • ')}</p>
+        </header>
+        
+        <table class="print-table">
+            <thead>
+                <tr>
+                    <th>Day</th>
+                    <th>Date</th>
+                    <th>Hijri</th>
+                    <th>Sahar ends</th>
+                    <th>Iftar</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${days.map((day, i) => renderPrintRow(day, i + 1)).join('')}
+            </tbody>
+        </table>
+        
+        <footer class="print-footer">
+            <p class="print-legend">
+                <span class="print-key friday"></span> Friday
+                <span class="print-key odd-night"></span> An odd night of the last ten begins after Iftar
+            </p>
+            ${hasIhtiyat(calendar.ihtiyat) ? `<p>Times include safety margins: ${escapeHtml(describeIhtiyat(calendar.ihtiyat))}.</p>` : ''}
+            ${calendar.timezone ? `<p>Times are for ${escapeHtml(calendar.timezone)}.</p>` : ''}
+            ${footer ? `<p class="print-footer-text">${escapeHtml(footer)}</p>` : ''}
+        </footer>
+    `;
+}
+
+/**
+ * Build one timetable row
+ * @param {Object} day - Day entry with safety margins applied
+ * @param {number} number - Day of Ramadan
+ * @returns {string}
+ */
+function renderPrintRow(day, number) {
+    const [year, month, date] = day.date.split('-').map(Number);
+    const gregorian = new Date(Date.UTC(year, month - 1, date))
+        .toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
+    const friday = getIsoWeekday(day.date) === 5;
+    
+    // The night after this day's Iftar is night number + 1
+    const oddNight = ODD_LAST_TEN_NIGHTS.includes(number + 1);
+    
+    return `
+        <tr class="${[friday && 'friday', oddNight && 'odd-night'].filter(Boolean).join(' ')}">
+            <td>${number}</td>
+            <td>${gregorian}</td>
+            <td>${formatHijriDate(gregorianToHijri(day.date, printHijriSettings), { includeYear: false })}</td>
+            <td class="print-time">${day.saharTime}</td>
+            <td class="print-time">${day.iftarTime}${oddNight ? ` <span class="print-night">Night ${number + 1}</span>` : ''}</td>
+        </tr>
+    `;
+}
+
+/**
+ * Remember the options and open the browser's print dialog with only the sheet on the page
+ */
+async function printTimetable() {
+    const paperSize = document.getElementById('print-paper').value;
+    
+    await ramadanDB.savePrintSettings({
+        paperSize,
+        footer: document.getElementById('print-footer').value
+    });
+    
+    // @page can't be switched by a class, so write the chosen size into a style element
+    let pageStyle = document.getElementById('print-page-style');
+    if (!pageStyle) {
+        pageStyle = document.createElement('style');
+        pageStyle.id = 'print-page-style';
+        document.head.appendChild(pageStyle);
+    }
+    pageStyle.textContent = `@page { size: ${PRINT_PAPER_SIZES[paperSize]} portrait; margin: 12mm; }`;
+    
+    document.body.classList.add('printing-timetable');
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('printing-timetable');
+    }, { once: true });
+    
+    window.print();
+}
@@ -0,0 +1,151 @@
+/**
+ * RamadanReady - Timezones
+ * Converts calendar wall-clock times to real instants in a calendar's IANA
+ * timezone, so countdowns and alarms stay right for travellers and across DST.
+ * Loaded by both the page and the service worker.
+ */
+
+/**
+ * Get the device's IANA timezone
+ * @returns {string} - e.g. "Europe/London" ('' if the browser can't tell)
+ */
+function getDeviceTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+}
+
+/**
+ * Check whether a string is an IANA timezone this browser knows
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * List the IANA timezones supported by the browser
+ * @returns {Array<string>}
+ */
+function listTimezones() {
+    return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+}
+
+/**
+ * Get the wall-clock date and time parts of an instant in a timezone
+ * @param {Date} instant
+ * @param {string} timezone - IANA name (device timezone when empty)
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getZonedParts(instant, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone || undefined,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(instant).forEach(part => { parts[part.type] = Number(part.value); });
+
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second
+    };
+}
+
+/**
+ * UTC offset of a timezone at an instant, in minutes (e.g. 180 for UTC+3)
+ * @param {string} timezone - IANA name (device timezone when empty)
+ * @param {Date} instant
+ * @returns {number}
+ */
+function getTimezoneOffsetMinutes(timezone, instant) {
+    const p = getZonedParts(instant, timezone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - Math.floor(instant.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Turn a wall-clock date and time in a timezone into a Date.
+ * Uses the offset in force at that moment, so times after a DST switch are
+ * placed correctly. In every zone, a time skipped by a spring-forward gap moves
+ * forward by the size of the gap (02:30 becomes 03:30), and a time repeated by a
+ * fall-back switch is its first occurrence.
+ * @param {string} isoDate - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timezone - IANA name (device timezone when empty)
+ * @returns {Date}
+ */
+function zonedDateTime(isoDate, time, timezone) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // The offsets either side of any switch near this time; an offset fits when it is in force at the instant it gives
+    const oneDay = 24 * 60 * 60000;
+    const before = getTimezoneOffsetMinutes(timezone, new Date(wallClock - oneDay));
+    const after = getTimezoneOffsetMinutes(timezone, new Date(wallClock + oneDay));
+    const fits = (offset) => getTimezoneOffsetMinutes(timezone, new Date(wallClock - offset * 60000)) === offset;
+
+    // Neither fits in a gap: the offset from before the switch places the time after it
+    const offset = fits(before) || !fits(after) ? before : after;
+    return new Date(wallClock - offset * 60000);
+}
+
+/**
+ * Get the calendar date of an instant in a timezone
+ * @param {Date} instant
+ * @param {string} timezone - IANA name (device timezone when empty)
+ * @returns {string} - YYYY-MM-DD
+ */
+function getZonedIsoDate(instant, timezone) {
+    const p = getZonedParts(instant, timezone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} isoDate
+ * @param {number} days - May be negative
+ * @returns {string}
+ */
+function addDaysToIsoDate(isoDate, days) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Format the wall-clock time of an instant in a timezone
+ * @param {Date} instant
+ * @param {string} timezone - IANA name (device timezone when empty)
+ * @param {boolean} withSeconds - Add the seconds (HH:MM:SS)
+ * @returns {string} - HH:MM
+ */
+function formatZonedTime(instant, timezone, withSeconds = false) {
+    const p = getZonedParts(instant, timezone);
+    const time = `${String(p.hour).padStart(2, '0')}:${String(p.minute).padStart(2, '0')}`;
+    return withSeconds ? `${time}:${String(p.second).padStart(2, '0')}` : time;
+}
+
+/**
+ * Check whether a timezone currently shows a different time from the device
+ * @param {string} timezone - IANA name
+ * @param {Date} instant - Defaults to now
+ * @returns {boolean}
+ */
+function isForeignTimezone(timezone, instant = new Date()) {
+    if (!timezone) return false;
+    return getTimezoneOffsetMinutes(timezone, instant) !== getTimezoneOffsetMinutes('', instant);
+}
@@ -3,15 +3,27 @@
  * Provides offline support and background notifications
  */
 
-const CACHE_NAME = 'ramadan-ready-v1';
+// Shared data layer: the worker reads the same settings and calendars as the page
+importScripts('js/timezone.js', 'js/db.js');
+
+const CACHE_NAME = 'ramadan-ready-v23';
 const STATIC_ASSETS = [
     '/',
     '/index.html',
     '/css/styles.css',
     '/js/app.js',
     '/js/db.js',
+    '/js/timezone.js',
+    '/js/prayer-times.js',
+    '/js/hijri.js',
+    '/js/alarm-sound.js',
     '/js/alarms.js',
+    '/js/csv.js',
+    '/js/ics.js',
     '/js/file-handler.js',
+    '/js/qada.js',
+    '/js/iftar-mode.js',
+    '/js/timetable-print.js',
     '/manifest.json',
     '/icons/icon-192x192.png',
     '/icons/icon-512x512.png'
@@ -107,11 +119,165 @@ self.addEventListener('fetch', (event) => {
     );
 });
 
+/**
+ * Check whether the browser can schedule notifications ahead of time
+ * @returns {boolean}
+ */
+function supportsNotificationTriggers() {
+    return typeof TimestampTrigger !== 'undefined' && 'showTrigger' in Notification.prototype;
+}
+
+/**
+ * Pick how alarms will reach the user: Notification Triggers, then the
+ * Periodic Background Sync catch-up, then timers in an open page
+ * @returns {Promise<string>} - 'triggers', 'periodic-sync' or 'page'
+ */
+async function getAlarmMechanism() {
+    if (supportsNotificationTriggers() && Notification.permission === 'granted') {
+        return 'triggers';
+    }
+    
+    if ('periodicSync' in self.registration) {
+        const tags = await self.registration.periodicSync.getTags();
+        if (tags.includes(ALARM_SYNC_TAG)) return 'periodic-sync';
+    }
+    
+    return 'page';
+}
+
+// Snooze lengths offered on alarm notifications, in minutes
+const NOTIFICATION_SNOOZE_MINUTES = [5, 10];
+
+/**
+ * Build the action buttons for an alarm notification. Browsers show as many
+ * as they support (often two), so the most useful comes first.
+ * @param {Object} alarm - Alarm from the planned queue
+ * @returns {Array<Object>}
+ */
+function getAlarmActions(alarm) {
+    const snoozes = NOTIFICATION_SNOOZE_MINUTES.map(minutes => ({
+        action: `snooze-${minutes}`,
+        title: `Snooze ${minutes} min`
+    }));
+    
+    return alarm.type === 'sahar' ? [{ action: 'awake', title: `I'm awake` }, ...snoozes] : snoozes;
+}
+
+/**
+ * Show an alarm notification, now or at a scheduled time
+ * @param {Object} alarm - Alarm from the planned queue
+ * @param {Object} options - Extra notification options (e.g. showTrigger)
+ * @returns {Promise<void>}
+ */
+function showAlarm(alarm, options = {}) {
+    return self.registration.showNotification(alarm.title, {
+        body: alarm.message,
+        icon: '/icons/icon-192x192.png',
+        tag: `alarm-${alarm.id}`,
+        requireInteraction: true,
+        actions: getAlarmActions(alarm),
+        data: { alarm },
+        ...options
+    });
+}
+
+/**
+ * Cancel alarm notifications scheduled with Notification Triggers that have not shown yet
+ * @returns {Promise<void>}
+ */
+async function cancelTriggeredAlarms() {
+    if (!supportsNotificationTriggers()) return;
+    
+    const notifications = await self.registration.getNotifications({ includeTriggered: true });
+    notifications
+        .filter(notification => notification.tag.startsWith('alarm-') && notification.timestamp > Date.now())
+        .forEach(notification => notification.close());
+}
+
+/**
+ * Plan the alarm queue and arm it with the best available mechanism
+ * @returns {Promise<Object>} - { mechanism, alarms }
+ */
+async function armAlarms() {
+    const mechanism = await getAlarmMechanism();
+    const alarms = await ramadanDB.planAlarmQueue({ mechanism });
+    
+    await cancelTriggeredAlarms();
+    
+    if (mechanism === 'triggers') {
+        await Promise.all(alarms.map(alarm => 
+            showAlarm(alarm, { showTrigger: new TimestampTrigger(alarm.time.getTime()) })
+        ));
+    }
+    
+    console.log(`Service Worker: Planned ${alarms.length} alarm(s) via ${mechanism}`);
+    return { mechanism, alarms };
+}
+
+/**
+ * Re-arm the queue after a notification action and pass the new plan to open
+ * pages, so they reset their timers and stop ringing the handled alarm
+ * @param {string} handledId - ID of the alarm the action was for
+ * @returns {Promise<Object>} - The new plan ({ mechanism, alarms })
+ */
+async function rearmAfterAction(handledId) {
+    const plan = await armAlarms();
+    const clientList = await clients.matchAll({ type: 'window' });
+    clientList.forEach(client => client.postMessage({ type: 'ALARM_PLAN', plan, handled: handledId }));
+    return plan;
+}
+
+/**
+ * Show alarms that came due while no page was open to ring them
+ * @returns {Promise<void>}
+ */
+async function catchUpAlarms() {
+    const stored = await ramadanDB.getNextAlarmData();
+    if (!stored || stored.mechanism === 'triggers') return;
+    
+    const now = Date.now();
+    const due = stored.alarms.filter(alarm => {
+        const age = now - new Date(alarm.time).getTime();
+        return !alarm.triggered && age >= 0 && age < MAX_MISSED_ALARM_AGE;
+    });
+    if (due.length === 0) return;
+    
+    await Promise.all(due.map(alarm => showAlarm(alarm, {
+        body: `${alarm.message} (${Math.floor((now - new Date(alarm.time).getTime()) / 60000)} min ago)`
+    })));
+    
+    due.forEach(alarm => { alarm.triggered = true; });
+    await ramadanDB.setNextAlarmData(stored);
+    
+    // Late is still missed: the catch-up report lists them when the app next opens
+    await ramadanDB.addMissedAlarms(due.map(alarm => ({ ...alarm, shownAt: new Date(now).toISOString() })), stored);
+    await ramadanDB.logAlarmEvents('fired', due, {
+        delivery: 'service-worker',
+        mechanism: stored.mechanism,
+        note: 'Shown late by the periodic catch-up'
+    });
+}
+
 // Message event - handle communication from main thread
 self.addEventListener('message', (event) => {
     console.log('Service Worker: Received message', event.data);
     
-    if (event.data && event.data.type === 'SHOW_NOTIFICATION') {
+    // The page asks the worker to (re)plan whenever alarm settings or the active calendar change
+    if (event.data && event.data.type === 'SCHEDULE_ALARMS') {
+        event.waitUntil(
+            armAlarms()
+                .then((plan) => event.ports[0]?.postMessage(plan))
+                .catch((error) => {
+                    console.error('Service Worker: Alarm planning failed', error);
+                    event.ports[0]?.postMessage(null);
+                })
+        );
+    }
+    
+    // Alarms rung by the page get the same actions as the worker's own
+    if (event.data && event.data.type === 'SHOW_NOTIFICATION' && event.data.alarm) {
+        event.waitUntil(showAlarm(event.data.alarm));
+    } else if (event.data && event.data.type === 'SHOW_NOTIFICATION') {
         self.registration.showNotification(event.data.title, {
             body: event.data.body,
             icon: event.data.icon || '/icons/icon-192x192.png',
@@ -137,26 +303,54 @@ self.addEventListener('notificationclick', (event) => {
     
     event.notification.close();
     
+    const alarm = event.notification.data && event.notification.data.alarm;
+    
+    if (alarm && event.action.startsWith('snooze-')) {
+        const minutes = parseInt(event.action.slice('snooze-'.length), 10);
+        event.waitUntil(ramadanDB.snoozeAlarm(alarm, minutes)
+            .then(() => rearmAfterAction(alarm.id))
+            .then(async (plan) => {
+                // Without triggers only a page timer rings the snooze, so make sure a page is open
+                if (plan.mechanism !== 'triggers') {
+                    await focusOrOpenApp();
+                }
+            }));
+        return;
+    }
+    
+    // "I'm awake" answers the alarm and skips the rest of that morning's wake-up reminders
+    if (alarm && event.action === 'awake') {
+        event.waitUntil(ramadanDB.acknowledgeAlarm(alarm).then(() => rearmAfterAction(alarm.id)));
+        return;
+    }
+    
     if (event.action === 'open' || !event.action) {
-        event.waitUntil(
-            clients.matchAll({ type: 'window', includeUncontrolled: true })
-                .then((clientList) => {
-                    // Focus existing window if open
-                    for (const client of clientList) {
-                        if (client.url === '/' && 'focus' in client) {
-                            return client.focus();
-                        }
-                    }
-                    
-                    // Open new window if not already open
-                    if (clients.openWindow) {
-                        return clients.openWindow('/');
-                    }
-                })
-        );
+        event.waitUntil(focusOrOpenApp());
     }
 });
 
+/**
+ * Focus the app's window, or open one when none is open
+ * @returns {Promise<WindowClient|null>}
+ */
+function focusOrOpenApp() {
+    return clients.matchAll({ type: 'window', includeUncontrolled: true })
+        .then((clientList) => {
+            // Focus existing window if open
+            for (const client of clientList) {
+                if (client.url === '/' && 'focus' in client) {
+                    return client.focus();
+                }
+            }
+            
+            // Open new window if not already open
+            if (clients.openWindow) {
+                return clients.openWindow('/');
+            }
+            return null;
+        });
+}
+
 // Notification close event
 self.addEventListener('notificationclose', (event) => {
     console.log('Service Worker: Notification closed', event);
@@ -168,6 +362,14 @@ self.addEventListener('sync', (event) => {
     // Could be used for syncing data when connection returns
 });
 
+// Periodic Background Sync - catch up on alarms and plan ahead while the app is closed
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag !== ALARM_SYNC_TAG) return;
+    
+    console.log('Service Worker: Periodic sync', event.tag);
+    event.waitUntil(catchUpAlarms().then(armAlarms));
+});
+
 // Push event (for future use with push notifications)
 self.addEventListener('push', (event) => {
     console.log('Service Worker: Push received', event);